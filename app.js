@@ -5,25 +5,457 @@
 // -----------------------------
 // Utilities: time & formatting
 // -----------------------------
-const formatUSD = (n) => {
+const formatMoney = (n, prefix = '$', suffix = '') => {
   if (n == null || isNaN(n)) return '—';
   const abs = Math.abs(n);
   const sign = n < 0 ? '-' : '';
-  if (abs >= 1e12) return `${sign}$${(abs/1e12).toFixed(2)}T`;
-  if (abs >= 1e9)  return `${sign}$${(abs/1e9).toFixed(2)}B`;
-  if (abs >= 1e6)  return `${sign}$${(abs/1e6).toFixed(2)}M`;
-  if (abs >= 1e3)  return `${sign}$${(abs/1e3).toFixed(2)}K`;
-  return `${sign}$${abs.toFixed(2)}`;
+  if (abs >= 1e12) return `${sign}${prefix}${(abs/1e12).toFixed(2)}T${suffix}`;
+  if (abs >= 1e9)  return `${sign}${prefix}${(abs/1e9).toFixed(2)}B${suffix}`;
+  if (abs >= 1e6)  return `${sign}${prefix}${(abs/1e6).toFixed(2)}M${suffix}`;
+  if (abs >= 1e3)  return `${sign}${prefix}${(abs/1e3).toFixed(2)}K${suffix}`;
+  return `${sign}${prefix}${abs.toFixed(2)}${suffix}`;
+};
+const formatUSD = (n) => formatMoney(n);
+const currencySymbol = (code) => {
+  try {
+    const sym = new Intl.NumberFormat('en-US', { style: 'currency', currency: code, currencyDisplay: 'narrowSymbol' })
+      .formatToParts(0).find(p => p.type === 'currency')?.value;
+    return sym && sym !== code ? sym : null;
+  } catch { return null; }
+};
+// Amount in a peg currency: "€300.00M", or "2.00M VAR" when there is no symbol
+const formatNative = (n, code) => {
+  if (!code || code === 'USD') return formatUSD(n);
+  const sym = currencySymbol(code);
+  return sym ? formatMoney(n, sym) : formatMoney(n, '', ` ${code}`);
+};
+const pegCurrencyName = (code) => {
+  if (code === 'VAR') return 'Variable / commodity';
+  try { return new Intl.DisplayNames(['en'], { type: 'currency' }).of(code) || code; } catch { return code; }
 };
 const fmtPct = (v, digits=2) => (v == null || isNaN(v) ? '—' : `${v.toFixed(digits)}%`);
 const fmtTime = (ms) => new Date(ms).toLocaleString(undefined, { hour12: false });
+const fmtAge = (ms) => {
+  const sec = Math.max(0, Math.round(ms / 1000));
+  if (sec < 60) return `${sec}s`;
+  if (sec < 3600) return `${Math.floor(sec / 60)}m`;
+  if (sec < 86400) return `${Math.floor(sec / 3600)}h`;
+  return `${Math.floor(sec / 86400)}d`;
+};
+const fmtBytes = (n) => {
+  if (n == null || isNaN(n)) return '—';
+  if (n >= 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  if (n >= 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${n} B`;
+};
+// Signed percent change wrapped in a pos/neg span
+const fmtChange = (v, digits=2) => (v == null || isNaN(v)
+  ? '<span class="muted">—</span>'
+  : `<span class="${v > 0 ? 'pos' : (v < 0 ? 'neg' : 'muted')}">${v > 0 ? '+' : ''}${v.toFixed(digits)}%</span>`);
+// Signed absolute change ("+2", "-0.35pp") in the same pos/neg span
+const fmtDelta = (v, digits=0, suffix='') => {
+  if (v == null || isNaN(v)) return '<span class="muted">—</span>';
+  const r = Number(v.toFixed(digits)); // so -0.001 reads "0.00", not "-0.00"
+  return `<span class="${r > 0 ? 'pos' : (r < 0 ? 'neg' : 'muted')}">${r > 0 ? '+' : ''}${(r || 0).toFixed(digits)}${suffix}</span>`;
+};
+
+// -----------------------------
+// Utilities: sortable tables
+// -----------------------------
+// Comparator for row objects; strings compare alphabetically, nulls sort last
+function compareBy(key, dir = 'desc') {
+  const sign = dir === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const va = a[key];
+    const vb = b[key];
+    if (va == null && vb == null) return 0;
+    if (va == null) return 1;
+    if (vb == null) return -1;
+    if (typeof va === 'string' || typeof vb === 'string') return String(va).localeCompare(String(vb)) * sign;
+    return (va - vb) * sign;
+  };
+}
+
+// Header cells for a table; columns: [{ key, label, sortable? }]
+function sortableHeaderHTML(columns, sortKey, sortDir) {
+  return columns.map(c =>
+    c.sortable === false
+      ? `<div>${c.label}</div>`
+      : `<div class="sortable ${sortKey === c.key ? `active ${sortDir}` : ''}" data-key="${c.key}">${c.label}</div>`
+  ).join('');
+}
+
+// Wire header clicks: same key flips direction, new key starts asc for text columns, desc otherwise
+function bindSortableHeader(container, state, textKeys, onChange) {
+  container.querySelectorAll('.sortable').forEach(h => {
+    h.addEventListener('click', () => {
+      const key = h.dataset.key;
+      if (state.sortKey === key) {
+        state.sortDir = state.sortDir === 'asc' ? 'desc' : 'asc';
+      } else {
+        state.sortKey = key;
+        state.sortDir = textKeys.includes(key) ? 'asc' : 'desc';
+      }
+      onChange();
+    });
+  });
+}
+
+// Re-render a paged list from the top, keeping as many rows as were shown
+function rerenderPaged(render, cursor) {
+  const shown = cursor();
+  render(true);
+  let last = -1;
+  while (cursor() < shown && cursor() !== last) {
+    last = cursor();
+    render(false);
+  }
+}
+
+// -----------------------------
+// Event bus
+// -----------------------------
+// cache:served  { key, url, source, fetchedAt }  every fetchWithCache result
+// cache:failed  { key, url, error }              network failed with nothing to fall back on
+// cache:updated { key, url, fetchedAt }          background refresh brought new data
+// data:updated  { endpoint, url }                 provider view of cache:updated
+const bus = new EventTarget();
+
+function publish(type, detail) {
+  bus.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+function subscribe(type, fn) {
+  const handler = (e) => fn(e.detail);
+  bus.addEventListener(type, handler);
+  return () => bus.removeEventListener(type, handler);
+}
+
+// -----------------------------
+// Utilities: "Last updated" stamps & freshness
+// -----------------------------
+// Cards carry <… data-updated="name">; views stamp them with the { source, fetchedAt }
+// envelopes their data came from. A card is as old as its oldest input and stale
+// when any input is last-known-good data served after a network failure.
+const FRESHNESS_AGING_MS = 30 * 60 * 1000;
+const CARD_FRESHNESS = new Map(); // card name -> { fetchedAt, source }
+
+function stampUpdated(name, ...envelopes) {
+  const list = envelopes.filter(e => e && e.fetchedAt);
+  if (!list.length) return;
+  const fetchedAt = Math.min(...list.map(e => e.fetchedAt));
+  const source = list.some(e => e.source === 'stale') ? 'stale' : list[0].source;
+  CARD_FRESHNESS.set(name, { fetchedAt, source });
+  renderCardFreshness(name);
+  updateStaleBanner();
+}
+
+function freshnessOf({ fetchedAt, source }) {
+  const age = Date.now() - fetchedAt;
+  if (source === 'stale') return { level: 'stale', label: `Stale · ${fmtAge(age)} old` };
+  if (source === 'fixture') return { level: 'fixture', label: 'Fixture' };
+  if (age > FRESHNESS_AGING_MS) return { level: 'aging', label: `${fmtAge(age)} old` };
+  return { level: 'fresh', label: 'Live' };
+}
+
+// URLs whose last request failed outright (no last-known-good copy to show)
+const FAILED_URLS = new Set();
+subscribe('cache:failed', ({ url }) => { FAILED_URLS.add(url); updateStaleBanner(); });
+subscribe('cache:served', ({ url, source }) => {
+  if (source !== 'stale' && FAILED_URLS.delete(url)) updateStaleBanner();
+});
+
+function updateStaleBanner() {
+  const banner = document.getElementById('staleBanner');
+  const textEl = document.getElementById('staleBannerText');
+  if (!banner || !textEl) return;
+  const stale = [...CARD_FRESHNESS.values()].filter(f => f.source === 'stale');
+  const parts = [];
+  if (stale.length) {
+    parts.push(`Network requests are failing. Some cards show last-known data from ${fmtTime(Math.min(...stale.map(f => f.fetchedAt)))}.`);
+  }
+  if (FAILED_URLS.size) {
+    parts.push(`${FAILED_URLS.size} request${FAILED_URLS.size === 1 ? '' : 's'} failed with no cached copy.`);
+  }
+  textEl.textContent = parts.join(' ');
+  banner.classList.toggle('hidden', !parts.length);
+}
+
+function renderCardFreshness(name) {
+  const f = CARD_FRESHNESS.get(name);
+  if (!f) return;
+  const { level, label } = freshnessOf(f);
+  document.querySelectorAll(`[data-updated="${name}"]`).forEach(el => {
+    el.innerHTML = `<span class="fresh-badge ${level}" title="Served from ${f.source}">${label}</span> Updated ${fmtTime(f.fetchedAt)}`;
+  });
+}
+
+// -----------------------------
+// Utilities: chart range, resolution & zoom
+// -----------------------------
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGE_PRESETS = [
+  { key: '7d', label: '7D', days: 7 },
+  { key: '30d', label: '30D', days: 30 },
+  { key: '90d', label: '90D', days: 90 },
+  { key: '1y', label: '1Y', days: 365 },
+  { key: 'ytd', label: 'YTD' },
+  { key: 'all', label: 'All' }
+];
+const RESOLUTIONS = [
+  { key: 'daily', label: 'Daily' },
+  { key: 'weekly', label: 'Weekly' },
+  { key: 'monthly', label: 'Monthly' }
+];
+
+// state: { preset, from, to, resolution, log, defaultPreset }; from/to (ms) are used when preset === 'custom'
+function createRangeState(defaultPreset) {
+  return { preset: defaultPreset, from: null, to: null, resolution: 'daily', log: false, defaultPreset };
+}
+
+// Resolve a range state to concrete [from, to] bounds, anchored on the latest data point
+function resolveRange(state, dataMin, dataMax) {
+  const end = dataMax ?? Date.now();
+  if (state.preset === 'custom') {
+    return { from: state.from ?? dataMin, to: state.to ?? end };
+  }
+  if (state.preset === 'ytd') {
+    return { from: Date.UTC(new Date(end).getUTCFullYear(), 0, 1), to: end };
+  }
+  const preset = RANGE_PRESETS.find(p => p.key === state.preset);
+  if (preset && preset.days) return { from: end - preset.days * DAY_MS, to: end };
+  return { from: dataMin, to: end };
+}
+
+// Keep the last point of each week (Monday-based) or calendar month
+function resamplePoints(points, resolution) {
+  if (resolution !== 'weekly' && resolution !== 'monthly') return points;
+  const bucketOf = (t) => {
+    if (resolution === 'monthly') {
+      const d = new Date(t);
+      return d.getUTCFullYear() * 12 + d.getUTCMonth();
+    }
+    return Math.floor((t / DAY_MS + 3) / 7); // 1970-01-01 was a Thursday
+  };
+  const out = [];
+  let lastBucket = null;
+  for (const p of points) {
+    const b = bucketOf(p.x);
+    if (b === lastBucket) out[out.length - 1] = p;
+    else out.push(p);
+    lastBucket = b;
+  }
+  return out;
+}
+
+// Filter + resample one {x, y} series for a range state
+function applyRangeToPoints(points, state, bounds) {
+  const inRange = points.filter(p => p.x >= bounds.from && p.x <= bounds.to);
+  return resamplePoints(inRange, state.resolution);
+}
+
+function timeUnitFor(spanMs) {
+  if (spanMs <= 45 * DAY_MS) return 'day';
+  if (spanMs <= 200 * DAY_MS) return 'week';
+  if (spanMs <= 4 * 365 * DAY_MS) return 'month';
+  return 'year';
+}
+
+// Push range bounds, time unit and log/linear y-axis onto a Chart.js instance's options
+function applyRangeToChartOptions(chart, state, bounds, { allowLog = true } = {}) {
+  const x = chart.options.scales.x;
+  x.min = bounds.from;
+  x.max = bounds.to;
+  x.time = { ...(x.time || {}), unit: timeUnitFor(bounds.to - bounds.from) };
+  const y = chart.options.scales.y;
+  y.type = allowLog && state.log ? 'logarithmic' : 'linear';
+}
+
+// Series [{x}] extents across several datasets
+function seriesExtent(datasets) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const ds of datasets) {
+    for (const p of ds.data || []) {
+      if (p.x < min) min = p.x;
+      if (p.x > max) max = p.x;
+    }
+  }
+  return min === Infinity ? { min: null, max: null } : { min, max };
+}
+
+const toDateInput = (ms) => (ms == null ? '' : new Date(ms).toISOString().slice(0, 10));
+
+// Render range presets, custom dates, resolution, log toggle and reset into a container
+function setupRangeControls(container, state, onChange) {
+  if (!container) return;
+  container.innerHTML = `
+    <div class="seg range-presets">
+      ${RANGE_PRESETS.map(p => `<button class="seg-btn" data-preset="${p.key}">${p.label}</button>`).join('')}
+    </div>
+    <input class="input range-from" type="date" title="From" />
+    <span class="muted small">–</span>
+    <input class="input range-to" type="date" title="To" />
+    <select class="select range-res">
+      ${RESOLUTIONS.map(r => `<option value="${r.key}">${r.label}</option>`).join('')}
+    </select>
+    <button class="seg-btn range-log" title="Logarithmic y-axis">Log</button>
+    <button class="seg-btn range-reset" title="Reset zoom and range">Reset</button>
+  `;
+  container.querySelectorAll('[data-preset]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.preset = btn.dataset.preset;
+      state.from = null;
+      state.to = null;
+      onChange();
+    });
+  });
+  const fromEl = container.querySelector('.range-from');
+  const toEl = container.querySelector('.range-to');
+  const onDates = () => {
+    const from = fromEl.value ? Date.parse(fromEl.value) : null;
+    const to = toEl.value ? Date.parse(toEl.value) + DAY_MS - 1 : null;
+    if (from != null && to != null && from > to) return;
+    state.preset = 'custom';
+    state.from = from;
+    state.to = to;
+    onChange();
+  };
+  fromEl.addEventListener('change', onDates);
+  toEl.addEventListener('change', onDates);
+  container.querySelector('.range-res').addEventListener('change', (e) => {
+    state.resolution = e.target.value;
+    onChange();
+  });
+  container.querySelector('.range-log').addEventListener('click', () => {
+    state.log = !state.log;
+    onChange();
+  });
+  container.querySelector('.range-reset').addEventListener('click', () => {
+    state.preset = state.defaultPreset;
+    state.from = null;
+    state.to = null;
+    onChange();
+  });
+  syncRangeControls(container, state);
+}
+
+// Reflect a range state (and its resolved bounds, when known) in its controls
+function syncRangeControls(container, state, bounds = null) {
+  if (!container) return;
+  container.querySelectorAll('[data-preset]').forEach(b => b.classList.toggle('active', b.dataset.preset === state.preset));
+  const fromEl = container.querySelector('.range-from');
+  const toEl = container.querySelector('.range-to');
+  if (fromEl) fromEl.value = toDateInput(state.preset === 'custom' ? state.from : bounds?.from);
+  if (toEl) toEl.value = toDateInput(state.preset === 'custom' ? state.to : bounds?.to);
+  const resEl = container.querySelector('.range-res');
+  if (resEl) resEl.value = state.resolution;
+  const logEl = container.querySelector('.range-log');
+  if (logEl) logEl.classList.toggle('active', state.log);
+}
+
+// Range state <-> route params (range, from, to, res, log)
+function rangeToParams(state, set) {
+  set('range', state.preset, state.defaultPreset);
+  if (state.preset === 'custom') {
+    set('from', toDateInput(state.from), '');
+    set('to', toDateInput(state.to), '');
+  }
+  set('res', state.resolution, 'daily');
+  set('log', state.log ? '1' : null, null);
+}
+
+function rangeFromParams(state, get) {
+  state.preset = get('range', state.defaultPreset);
+  state.from = state.preset === 'custom' && get('from', null) ? Date.parse(get('from', null)) : null;
+  state.to = state.preset === 'custom' && get('to', null) ? Date.parse(get('to', null)) + DAY_MS - 1 : null;
+  state.resolution = get('res', 'daily');
+  state.log = get('log', null) === '1';
+}
+
+// Chart.js plugin: drag across the plot to zoom, shift+drag to pan.
+// The chart's options.plugins.dragZoom.onZoom(from, to) receives the new x bounds.
+const dragZoomPlugin = {
+  id: 'dragZoom',
+  afterInit(chart) {
+    const canvas = chart.canvas;
+    const st = { start: null, end: null, pan: false, canvas };
+    const xAt = (e) => e.clientX - canvas.getBoundingClientRect().left;
+    st.down = (e) => {
+      const x = xAt(e);
+      const area = chart.chartArea;
+      if (!area || x < area.left || x > area.right) return;
+      st.start = x;
+      st.end = x;
+      st.pan = e.shiftKey;
+      canvas.style.cursor = st.pan ? 'grabbing' : 'crosshair';
+    };
+    st.move = (e) => {
+      if (st.start == null) return;
+      const area = chart.chartArea;
+      st.end = Math.min(Math.max(xAt(e), area.left), area.right);
+      if (!st.pan) chart.draw();
+    };
+    st.up = () => {
+      if (st.start == null) return;
+      const scale = chart.scales.x;
+      const { start, end, pan } = st;
+      st.start = null;
+      canvas.style.cursor = '';
+      chart.draw();
+      const onZoom = chart.options.plugins?.dragZoom?.onZoom;
+      if (!onZoom || Math.abs(end - start) < 5) return;
+      const a = scale.getValueForPixel(start);
+      const b = scale.getValueForPixel(end);
+      if (pan) onZoom(scale.min + (a - b), scale.max + (a - b));
+      else onZoom(Math.min(a, b), Math.max(a, b));
+    };
+    canvas.addEventListener('mousedown', st.down);
+    window.addEventListener('mousemove', st.move);
+    window.addEventListener('mouseup', st.up);
+    chart.$dragZoom = st;
+  },
+  afterDraw(chart) {
+    const st = chart.$dragZoom;
+    if (!st || st.start == null || st.pan) return;
+    const { top, bottom } = chart.chartArea;
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.fillStyle = 'rgba(74, 222, 128, 0.15)';
+    ctx.fillRect(Math.min(st.start, st.end), top, Math.abs(st.end - st.start), bottom - top);
+    ctx.restore();
+  },
+  afterDestroy(chart) {
+    const st = chart.$dragZoom;
+    if (!st) return;
+    st.canvas.removeEventListener('mousedown', st.down);
+    window.removeEventListener('mousemove', st.move);
+    window.removeEventListener('mouseup', st.up);
+  }
+};
+
+// Route a zoom/pan gesture into a range state as a custom range
+function zoomRangeState(state, from, to, onChange) {
+  state.preset = 'custom';
+  state.from = Math.round(from);
+  state.to = Math.round(to);
+  onChange();
+}
 
 // -----------------------------
-// Simple cache with LKG (localStorage) + in-memory + single-flight
+// Cache: in-memory + IndexedDB (LKG) + single-flight
 // -----------------------------
+// Payloads live in the IndexedDB "entries" store. A small "meta" record per key
+// (url, size, fetchedAt, ttlSec, lastAccess, source) is mirrored in CACHE_META,
+// so size accounting and LRU eviction never read payloads back.
 const mem = new Map();            // key -> { data, fetchedAt, ttlSec }
 const inflight = new Map();       // key -> Promise
 const LKG_GRACE_MS = 60 * 60 * 1000; // 60 minutes
+const CACHE_DB_NAME = 'stablecoin-dashboard-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_MAX_BYTES = 50 * 1024 * 1024; // evict least recently used entries above this
+const CACHE_META = new Map();     // key -> { key, url, size, fetchedAt, ttlSec, lastAccess, source }
+let cacheDBPromise = null;
 
 function keyFrom(url, v='1') {
   // Normalize query params order
@@ -38,54 +470,228 @@ function keyFrom(url, v='1') {
   }
 }
 
-function getLKG(k) {
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Resolves to the database, or null when IndexedDB is unavailable (memory-only cache)
+function openCacheDB() {
+  if (cacheDBPromise) return cacheDBPromise;
+  cacheDBPromise = (async () => {
+    if (!window.indexedDB) return null;
+    try {
+      const req = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('entries')) db.createObjectStore('entries');
+        if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+      };
+      const db = await idbRequest(req);
+      const metas = await idbRequest(db.transaction('meta').objectStore('meta').getAll());
+      metas.forEach(m => CACHE_META.set(m.key, m));
+      dropLegacyLKG();
+      return db;
+    } catch (e) {
+      console.warn('IndexedDB unavailable, caching in memory only:', e);
+      return null;
+    }
+  })();
+  return cacheDBPromise;
+}
+
+// Earlier builds kept whole payloads in localStorage under "<url>|v=<n>"
+function dropLegacyLKG() {
   try {
-    const raw = localStorage.getItem(k);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch { return null; }
+    const stale = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (/^https?:\/\/.*\|v=/.test(k)) stale.push(k);
+    }
+    stale.forEach(k => localStorage.removeItem(k));
+  } catch { /* ignore */ }
+}
+
+function cacheTotalBytes() {
+  let total = 0;
+  CACHE_META.forEach(m => { total += m.size; });
+  return total;
+}
+
+function touchMeta(db, k, source) {
+  const meta = CACHE_META.get(k);
+  if (!meta) return;
+  meta.lastAccess = Date.now();
+  meta.source = source;
+  if (!db) return;
+  try {
+    db.transaction('meta', 'readwrite').objectStore('meta').put(meta);
+  } catch { /* ignore */ }
+}
+
+async function getLKG(k) {
+  const db = await openCacheDB();
+  if (!db) return null;
+  try {
+    const rec = await idbRequest(db.transaction('entries').objectStore('entries').get(k));
+    if (rec) touchMeta(db, k, 'lkg');
+    return rec || null;
+  } catch (e) {
+    console.warn('Cache read failed for', k, e);
+    return null;
+  }
+}
+
+async function deleteLKG(db, keys) {
+  keys.forEach(k => { CACHE_META.delete(k); mem.delete(k); });
+  if (!db || !keys.length) return;
+  const tx = db.transaction(['entries', 'meta'], 'readwrite');
+  keys.forEach(k => {
+    tx.objectStore('entries').delete(k);
+    tx.objectStore('meta').delete(k);
+  });
+  await idbDone(tx);
+}
+
+// Drop least recently used entries until the cache fits in maxBytes
+async function evictLRU(db, maxBytes, keep = null) {
+  let total = cacheTotalBytes();
+  if (total <= maxBytes) return;
+  const victims = [];
+  const byAge = [...CACHE_META.values()].filter(m => m.key !== keep).sort((a, b) => a.lastAccess - b.lastAccess);
+  for (const m of byAge) {
+    if (total <= maxBytes) break;
+    victims.push(m.key);
+    total -= m.size;
+  }
+  await deleteLKG(db, victims);
 }
 
-function setLKG(k, payload) {
+async function setLKG(k, url, rec, source) {
+  const db = await openCacheDB();
+  if (!db) return;
+  const size = JSON.stringify(rec.data).length;
+  if (size > CACHE_MAX_BYTES) return; // would evict everything else
+  const meta = { key: k, url, size, fetchedAt: rec.fetchedAt, ttlSec: rec.ttlSec, lastAccess: Date.now(), source };
+  const write = async () => {
+    const tx = db.transaction(['entries', 'meta'], 'readwrite');
+    tx.objectStore('entries').put(rec, k);
+    tx.objectStore('meta').put(meta);
+    await idbDone(tx);
+  };
   try {
-    localStorage.setItem(k, JSON.stringify(payload));
-  } catch { /* ignore quota errors */ }
+    CACHE_META.set(k, meta);
+    await evictLRU(db, CACHE_MAX_BYTES, k);
+    try {
+      await write();
+    } catch (e) {
+      if (e?.name !== 'QuotaExceededError') throw e;
+      // Browser quota is below our budget: free half of it and try once more
+      await evictLRU(db, Math.floor(cacheTotalBytes() / 2), k);
+      await write();
+    }
+  } catch (e) {
+    CACHE_META.delete(k);
+    console.warn('Cache write failed for', k, e);
+  }
+}
+
+async function purgeCacheKey(k) {
+  await deleteLKG(await openCacheDB(), [k]);
+}
+
+async function purgeCache() {
+  await deleteLKG(await openCacheDB(), [...CACHE_META.keys()]);
+  mem.clear();
+}
+
+// Responses replayed by the service worker while offline carry the time they
+// were originally fetched (see sw.js); live responses return null.
+function swFetchedAt(res) {
+  const v = Number(res.headers && res.headers.get('X-SW-Fetched-At'));
+  return v > 0 ? v : null;
+}
+
+// Change signature of a response body: the server's validator when it sends one,
+// else a SHA-1 of the bytes (hashed natively, so large payloads stay cheap).
+// Insecure origins have no SubtleCrypto and fall back to FNV-1a.
+async function bodySignature(res, buf) {
+  const tag = res.headers && (res.headers.get('etag') || res.headers.get('last-modified'));
+  if (tag) return `h:${tag}`;
+  if (window.crypto?.subtle) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', buf));
+    return `sha1:${Array.from(digest, b => b.toString(16).padStart(2, '0')).join('')}`;
+  }
+  const bytes = new Uint8Array(buf);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) h = Math.imul(h ^ bytes[i], 0x01000193);
+  return `fnv:${bytes.length}:${(h >>> 0).toString(16)}`;
+}
+
+async function readJSONBody(res) {
+  const buf = await res.arrayBuffer();
+  return { data: JSON.parse(new TextDecoder().decode(buf)), sig: await bodySignature(res, buf) };
 }
 
 async function fetchWithCache(url, { ttlSec=300, retries=1, version='1' } = {}) {
   const k = keyFrom(url, version);
   const now = Date.now();
+  const served = (res) => {
+    publish('cache:served', { key: k, url, source: res.source, fetchedAt: res.fetchedAt });
+    return res;
+  };
 
   // Fresh in-memory?
   const inMem = mem.get(k);
-  if (inMem && (now - inMem.fetchedAt) < ttlSec*1000) return { data: inMem.data, source: 'mem', fetchedAt: inMem.fetchedAt };
-
-  // Fresh in localStorage?
-  const lkg = getLKG(k);
-  if (lkg && (now - lkg.fetchedAt) < ttlSec*1000) {
-    // SWR: return immediately and refresh in background
-    swrRefresh(url, { ttlSec, version, key: k });
-    mem.set(k, lkg);
-    return { data: lkg.data, source: 'lkg', fetchedAt: lkg.fetchedAt };
+  if (inMem && (now - inMem.fetchedAt) < ttlSec*1000) {
+    touchMeta(null, k, 'mem');
+    return served({ data: inMem.data, source: 'mem', fetchedAt: inMem.fetchedAt });
   }
 
   // Single-flight
   if (inflight.has(k)) return inflight.get(k);
 
   const p = (async () => {
-    // Try network
+    let lkg = null;
     try {
+      // Fresh in IndexedDB?
+      lkg = await getLKG(k);
+      if (lkg && (now - lkg.fetchedAt) < ttlSec*1000) {
+        // SWR: return immediately and refresh in background
+        swrRefresh(url, { ttlSec, version, key: k });
+        mem.set(k, lkg);
+        return served({ data: lkg.data, source: 'lkg', fetchedAt: lkg.fetchedAt });
+      }
+      // Try network
       const res = await fetch(url, { cache: 'no-store' });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
-      const rec = { data, fetchedAt: now, ttlSec };
-      mem.set(k, rec); setLKG(k, rec);
-      return { data, source: 'net', fetchedAt: now };
+      const swAt = swFetchedAt(res);
+      if (swAt) {
+        // Offline: the service worker answered with its stored copy. Serve it as
+        // stale (or our own LKG if newer) and leave mem empty so we retry next time.
+        if (lkg && lkg.fetchedAt >= swAt) return served({ data: lkg.data, source: 'stale', fetchedAt: lkg.fetchedAt });
+        return served({ data: await res.json(), source: 'stale', fetchedAt: swAt });
+      }
+      const { data, sig } = await readJSONBody(res);
+      const rec = { data, fetchedAt: now, ttlSec, sig };
+      mem.set(k, rec); setLKG(k, url, rec, 'net');
+      return served({ data, source: 'net', fetchedAt: now });
     } catch (err) {
       // Fallback to LKG within grace
       if (lkg && (now - lkg.fetchedAt) < (ttlSec*1000 + LKG_GRACE_MS)) {
-        return { data: lkg.data, source: 'stale', fetchedAt: lkg.fetchedAt };
+        touchMeta(await openCacheDB(), k, 'stale');
+        return served({ data: lkg.data, source: 'stale', fetchedAt: lkg.fetchedAt });
       }
+      publish('cache:failed', { key: k, url, error: err });
       throw err;
     } finally {
       inflight.delete(k);
@@ -99,204 +705,904 @@ async function swrRefresh(url, { ttlSec=300, version='1', key=null }) {
   const k = key || keyFrom(url, version);
   try {
     const res = await fetch(url, { cache: 'no-store' });
-    if (!res.ok) return;
-    const data = await res.json();
-    const rec = { data, fetchedAt: Date.now(), ttlSec };
-    mem.set(k, rec); setLKG(k, rec);
-    // You can emit an event to notify UI if you want live updates
+    if (!res.ok || swFetchedAt(res)) return;
+    const { data, sig } = await readJSONBody(res);
+    const prev = mem.get(k);
+    const changed = !prev || prev.sig !== sig;
+    const rec = { data, fetchedAt: Date.now(), ttlSec, sig };
+    mem.set(k, rec); setLKG(k, url, rec, 'swr');
+    if (changed) publish('cache:updated', { key: k, url, fetchedAt: rec.fetchedAt });
   } catch { /* ignore */ }
 }
 
 // -----------------------------
-// Endpoints
+// Endpoints (DefiLlama)
 // -----------------------------
 const EP = {
   STABLECOINS: 'https://stablecoins.llama.fi/stablecoins',
   STABLECOIN_CHAINS: 'https://stablecoins.llama.fi/stablecoinchains',
-  // Historical per symbol: https://stablecoins.llama.fi/stablecoincharts/{symbol}
-  // Price: https://coins.llama.fi/prices/current/{chain}:{address}
+  CHART_ALL: 'https://stablecoins.llama.fi/stablecoincharts/all',
+  CHAIN_CHART: (chain) => `https://stablecoins.llama.fi/stablecoincharts/${encodeURIComponent(chain)}`,
+  ASSET: (id) => `https://stablecoins.llama.fi/stablecoin/${encodeURIComponent(id)}`,
+  // Price: https://coins.llama.fi/prices/current/{chain}:{address} (or coingecko:{gecko_id})
+  PRICES: (keys) => `https://coins.llama.fi/prices/current/${keys.join(',')}`,
+  POOLS: 'https://yields.llama.fi/pools',
+  PROTOCOL: (slug) => `https://api.llama.fi/protocol/${encodeURIComponent(slug)}`,
+  // Daily fiat reference rates, units of each currency per 1 USD. Third party
+  // (ExchangeRate-API's open access endpoint): free, no key, but its terms ask
+  // for the "Rates By Exchange Rate API" credit shown in the page footer.
+  FX: 'https://open.er-api.com/v6/latest/USD',
 };
 
 // -----------------------------
-// Tabs
+// Data providers
 // -----------------------------
-function setupTabs() {
-  const tabs = document.querySelectorAll('.tab');
-  const sections = document.querySelectorAll('.tab-content');
-  tabs.forEach(tab => {
-    tab.addEventListener('click', () => {
-      const target = tab.dataset.target;
-      
-      tabs.forEach(t => t.classList.remove('active'));
-      tab.classList.add('active');
-      sections.forEach(s => s.classList.add('hidden'));
-      document.getElementById(target).classList.remove('hidden');
-      
-      // Lazy init on first show
-      if (target === 'overview') {
-        initOverview();
-      } else if (target === 'historical') {
-        setTimeout(initHistorical, 50);
-      } else if (target === 'plasma') {
-        setTimeout(initPlasma, 100); // Small delay to ensure tab is visible
-      }
-    });
-  });
-}
+// Rendering code only talks to DATA, never to raw payloads. Every method
+// resolves to { data, source, fetchedAt } (same envelope as fetchWithCache)
+// where data is one of the internal models:
+//   getStablecoins()       -> Coin[]
+//   getChains()            -> Chain[]          { name, supply }
+//   getTotalHistory()      -> Point[]          { x: ms, y: usd }, ascending
+//   getChainHistory(chain) -> Point[]
+//   getAssetHistory(id, fxRate?) -> AssetHistory { id, pegCurrency, chainSeries: { [chain]: [{ t: ms, v: usd }] } }
+//                                   fxRate: the coin's Coin.fxRate when the caller has it
+//   getPrices(geckoIds)    -> Map<geckoId, usd price>
+//   getFxRates()           -> Map<currency, usd per unit>
+//   getPools()             -> Pool[]           { pool, symbol, project, chain, tvl, apy, apyBase, apyReward }
+//   getProtocol(slug)      -> Protocol         { slug, name, tvl, change7d, chains, chainTvls: { [chain]: usd } }
+// Coin: { id, name, symbol, geckoId, pegType, pegCurrency, pegMechanism, priceSource, price,
+//         mcap, prevDay, prevWeek, prevMonth, chainSupply: { [chain]: { current, prevDay, prevWeek, prevMonth } },
+//         native: { mcap, prevDay, prevWeek, prevMonth }, fxRate }
+// Supplies are USD amounts; 0 when the payload has no value. Non-USD coins are
+// converted with fxRate: the fiat rate of the peg currency (see pegFxRates), or
+// the coin's own price for floating pegs (see FLOATING_PEGS). `native` keeps the
+// amounts in the peg currency. Asset histories use today's rate.
+//
+// Pick a provider with ?provider=<name> or window.DASHBOARD_CONFIG = { provider }
+// set before app.js loads. "fixtures" serves recorded DefiLlama JSON from
+// fixtures/ so the dashboard runs with no network.
+const DEFAULT_PROVIDER = 'defillama';
+const FIXTURE_BASE = 'fixtures';
 
-// -----------------------------
-// Overview: KPIs & Top Stablecoins
-// -----------------------------
-let SC_SNAPSHOT = []; // store stablecoins list (snapshot)
-let SC_CHAIN_SPLIT = null; // per-coin chains breakdown
-let overviewInitDone = false;
-let listCursor = 0;
-const PAGE_SIZE = 20;
+// Cache TTL per endpoint (seconds)
+const CACHE_TTL = {
+  stablecoins: 600,
+  chains: 600,
+  totalHistory: 300,
+  chainHistory: 600,
+  assetHistory: 3600, // large payloads that only change once a day
+  prices: 60,
+  pools: 300,
+  protocol: 1800, // TVLs move slowly
+  fx: 3600 // reference rates are published once a day
+};
 
-async function initOverview() {
-  if (overviewInitDone) return;
-  overviewInitDone = true;
+// chainTvls keys that are TVL breakdowns rather than chains
+const PROTOCOL_TVL_EXTRAS = new Set(['borrowed', 'staking', 'pool2', 'offers', 'vesting', 'treasury', 'doublecounted', 'liquidstaking', 'dcAndLsOverlap']);
 
-  // Fetch snapshot + chains
-  const { data: coinsData, source: src1, fetchedAt: t1 } = await fetchWithCache(EP.STABLECOINS, { ttlSec: 600, version: '1' });
-  const { data: chainData, source: src2, fetchedAt: t2 } = await fetchWithCache(EP.STABLECOIN_CHAINS, { ttlSec: 600, version: '1' });
-  SC_SNAPSHOT = Array.isArray(coinsData?.peggedAssets) ? coinsData.peggedAssets : (Array.isArray(coinsData) ? coinsData : []);
-  SC_CHAIN_SPLIT = chainData || null;
+const toNum = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
 
-  // KPIs
-  computeKPIs(SC_SNAPSHOT, SC_CHAIN_SPLIT);
-  // Charts (optional, will gracefully skip if Chart.js not loaded)
-  renderDonut(SC_SNAPSHOT);
-  await renderStackedChart(SC_SNAPSHOT);
-  // Top list
-  listCursor = 0;
-  document.getElementById('loadMore').addEventListener('click', () => rebuildStablecoinList(false));
-  rebuildStablecoinList(false);
-}
+const toMs = (date) => {
+  const t = Number(date);
+  return t < 1e12 ? t * 1000 : t;
+};
 
-function computeKPIs(list, chainSplit) {
-  // Extract market cap from live data structure
-  const rows = list.map(c => {
-    const mcap = Number(
-      (c.circulating && c.circulating.peggedUSD) ??
-      (c.circulating && c.circulating.usd) ??
-      (typeof c.mcap === 'number' ? c.mcap : 0)
-    );
-    return { 
-      symbol: c.symbol || c.name || '—', 
-      mcap: mcap || 0, 
-      id: c.id || c.symbol || c.name || '',
-      pegType: c.pegType || '—'
+// DefiLlama pegType ("peggedEUR") -> currency code; REAL is DefiLlama's name for BRL
+const pegCurrencyOf = (pegType) => {
+  const code = String(pegType || '').replace(/^pegged/, '') || 'USD';
+  return code === 'REAL' ? 'BRL' : code;
+};
+
+// Amount under the coin's own peg key; older payloads only carry peggedUSD
+const pegAmount = (obj, pegType) => toNum(obj?.[pegType] ?? obj?.peggedUSD);
+
+// Sum of every peg bucket (stablecoinchains / stablecoincharts report each peg in USD)
+const sumPegBuckets = (obj) => Object.values(obj || {}).reduce((s, v) => s + toNum(v), 0);
+
+// DefiLlama payload -> internal model
+const llamaNormalize = {
+  coin(c) {
+    const peg = c.pegType || 'peggedUSD';
+    const chainSupply = {};
+    for (const [chain, v] of Object.entries(c.chainCirculating || {})) {
+      chainSupply[chain] = {
+        current: pegAmount(v?.current, peg),
+        prevDay: pegAmount(v?.circulatingPrevDay, peg),
+        prevWeek: pegAmount(v?.circulatingPrevWeek, peg),
+        prevMonth: pegAmount(v?.circulatingPrevMonth, peg)
+      };
+    }
+    const native = {
+      mcap: toNum(c.circulating?.[peg] ?? c.circulating?.peggedUSD ?? c.circulating?.usd ?? c.mcap),
+      prevDay: pegAmount(c.circulatingPrevDay, peg),
+      prevWeek: pegAmount(c.circulatingPrevWeek, peg),
+      prevMonth: pegAmount(c.circulatingPrevMonth, peg)
+    };
+    return {
+      id: c.id != null ? String(c.id) : (c.symbol || c.name || ''),
+      name: c.name || c.symbol || '—',
+      symbol: c.symbol || c.name || '—',
+      geckoId: c.gecko_id || null,
+      pegType: c.pegType || '—',
+      pegCurrency: pegCurrencyOf(c.pegType),
+      pegMechanism: c.pegMechanism || '—',
+      priceSource: c.priceSource || '—',
+      price: typeof c.price === 'number' ? c.price : null,
+      ...native,
+      chainSupply,
+      native,
+      fxRate: 1 // replaced by applyPegFx for non-USD pegs
+    };
+  },
+  coins(data) {
+    const list = Array.isArray(data?.peggedAssets) ? data.peggedAssets : (Array.isArray(data) ? data : []);
+    return list.map(llamaNormalize.coin);
+  },
+  chains(data) {
+    return (Array.isArray(data) ? data : [])
+      .map(ch => ({ name: ch.name, supply: sumPegBuckets(ch.totalCirculatingUSD) }))
+      .filter(ch => ch.name);
+  },
+  // stablecoincharts/* rows carry totalCirculatingUSD (all) or totalCirculating (legacy)
+  points(data) {
+    return (Array.isArray(data) ? data : [])
+      .map(p => ({
+        x: toMs(p.date),
+        y: p.totalCirculatingUSD ? sumPegBuckets(p.totalCirculatingUSD) : toNum(p.totalCirculating?.peggedUSD)
+      }))
+      .filter(p => p.x <= Date.now() && p.y > 0)
+      .sort((a, b) => a.x - b.x);
+  },
+  // Native units; the provider converts non-USD assets with the current rate
+  asset(data) {
+    const peg = data?.pegType || 'peggedUSD';
+    const chainSeries = {};
+    for (const [chain, v] of Object.entries(data?.chainBalances || {})) {
+      chainSeries[chain] = (v?.tokens || [])
+        .filter(p => p && p.date && typeof (p.circulating?.[peg] ?? p.circulating?.peggedUSD) === 'number')
+        .map(p => ({ t: toMs(p.date), v: p.circulating[peg] ?? p.circulating.peggedUSD }))
+        .sort((a, b) => a.t - b.t);
+    }
+    return { id: data?.id != null ? String(data.id) : null, pegCurrency: pegCurrencyOf(peg), chainSeries };
+  },
+  // open.er-api.com quotes units per USD; the model wants USD per unit
+  fx(data) {
+    const rates = new Map([['USD', 1]]);
+    for (const [code, v] of Object.entries(data?.rates || {})) {
+      if (Number(v) > 0) rates.set(code, 1 / Number(v));
+    }
+    return rates;
+  },
+  prices(data) {
+    const prices = new Map();
+    for (const [key, v] of Object.entries(data?.coins || {})) {
+      if (typeof v?.price === 'number') prices.set(key.replace(/^coingecko:/, ''), v.price);
+    }
+    return prices;
+  },
+  pools(data) {
+    const list = Array.isArray(data?.data) ? data.data : (Array.isArray(data) ? data : []);
+    return list.map(p => {
+      const apyBase = p.apyBase == null ? null : Number(p.apyBase);
+      const apyReward = p.apyReward == null ? null : Number(p.apyReward);
+      const apy = p.apy != null ? Number(p.apy) : (apyBase || 0) + (apyReward || 0);
+      return {
+        pool: p.pool || '',
+        symbol: p.symbol || '—',
+        project: p.project || '',
+        chain: p.chain || '—',
+        tvl: toNum(p.tvlUsd ?? p.totalSupplyUsd),
+        apy,
+        apyBase,
+        apyReward
+      };
+    });
+  },
+  // api.llama.fi/protocol/{slug}; chainTvls drops the borrowed/staking/...
+  // breakdowns, change7d compares the last daily TVL point with the one a week before
+  protocol(data, slug) {
+    const chainTvls = Object.fromEntries(Object.entries(data?.currentChainTvls || {})
+      .filter(([k]) => !k.includes('-') && !PROTOCOL_TVL_EXTRAS.has(k))
+      .map(([k, v]) => [k, toNum(v)]));
+    const history = (Array.isArray(data?.tvl) ? data.tvl : [])
+      .map(p => ({ t: toMs(p.date), v: toNum(p.totalLiquidityUSD) }))
+      .filter(p => p.t)
+      .sort((a, b) => a.t - b.t);
+    const last = history[history.length - 1];
+    const weekAgo = last && [...history].reverse().find(p => p.t <= last.t - 7 * DAY_MS);
+    return {
+      slug,
+      name: data?.name || slug,
+      tvl: Object.values(chainTvls).reduce((a, b) => a + b, 0),
+      change7d: weekAgo && weekAgo.v > 0 ? (last.v / weekAgo.v - 1) * 100 : null,
+      chains: Array.isArray(data?.chains) ? data.chains : [],
+      chainTvls
     };
-  }).filter(r => r.mcap > 0); // Only count stablecoins with market cap
+  }
+};
 
-  rows.sort((a,b) => b.mcap - a.mcap);
-  const total = rows.reduce((s,r)=>s+r.mcap,0);
-  const top = rows[0] || { mcap: 0, symbol: '—' };
-  const dominance = total>0 ? (top.mcap/total*100) : 0;
+// Pegs without one reference currency (gold, CPI-linked, baskets): each coin
+// is valued at its own market price and has no peg target to deviate from
+const FLOATING_PEGS = new Set(['VAR']);
 
-  document.getElementById('kpiTotalMcap').textContent = formatUSD(total);
-  document.getElementById('kpiTopDominance').textContent = `${fmtPct(dominance)} (${top.symbol})`;
-  document.getElementById('kpiCountCoins').textContent = rows.length.toString();
+// USD per unit of each fiat peg currency, from the FX reference rates. Never
+// derived from the coins themselves, or a depeg would move its own target.
+async function pegFxRates(coins, getFxRates) {
+  const needed = coins.some(c => c.pegCurrency !== 'USD' && !FLOATING_PEGS.has(c.pegCurrency) && c.native.mcap > 0);
+  if (!needed) return new Map([['USD', 1]]);
+  try {
+    return (await getFxRates()).data;
+  } catch (e) {
+    console.warn('FX rates unavailable, non-USD coins count as 0:', e);
+    return new Map([['USD', 1]]);
+  }
+}
 
-  // Chains > $100m: calculate from live data
-  let bigChains = 0;
-  if (chainSplit && Array.isArray(chainSplit)) {
-    // chainSplit is an array of chains with totalCirculating
-    bigChains = chainSplit.filter(ch => {
-      const totalUSD = ch.totalCirculatingUSD?.peggedUSD || 0;
-      return Number(totalUSD) > 100_000_000;
-    }).length;
+// Coin id -> USD price for floating-peg coins: live price, else the snapshot's
+async function floatingPegPrices(coins, getPrices) {
+  const floating = coins.filter(c => FLOATING_PEGS.has(c.pegCurrency) && c.native.mcap > 0);
+  let live = new Map();
+  const ids = [...new Set(floating.map(c => c.geckoId).filter(Boolean))];
+  if (ids.length) {
+    try {
+      live = (await getPrices(ids)).data;
+    } catch (e) {
+      console.warn('Prices unavailable, using snapshot prices for floating pegs:', e);
+    }
   }
-  document.getElementById('kpiBigChains').textContent = bigChains ? String(bigChains) : '—';
+  const prices = new Map();
+  for (const c of floating) {
+    const price = (c.geckoId && live.get(c.geckoId)) ?? c.price;
+    if (price > 0) prices.set(c.id, price);
+  }
+  return prices;
 }
 
-function renderDonut(list) {
-  if (!window.Chart) return; // Chart.js not loaded
-  
-  // Destroy existing chart if it exists
-  if (window.donutChart) {
-    window.donutChart.destroy();
+// Convert a coin's native amounts to USD at `rate`; coins without one count as 0
+function applyPegFx(coin, rate) {
+  if (coin.pegCurrency === 'USD') return coin;
+  rate = rate ?? null;
+  const usd = (v) => (rate ? v * rate : 0);
+  const chainSupply = {};
+  for (const [chain, v] of Object.entries(coin.chainSupply)) {
+    chainSupply[chain] = { current: usd(v.current), prevDay: usd(v.prevDay), prevWeek: usd(v.prevWeek), prevMonth: usd(v.prevMonth) };
   }
-  
-  // Brand colors for stablecoins
-  const brandColors = {
-    'USDT': '#26A17B', // Tether green
-    'USDC': '#2775CA', // USDC blue
-    'DAI': '#F5AC37', // DAI orange
-    'FDUSD': '#2775CA', // FDUSD blue (similar to USDC)
-    'USDP': '#2775CA', // USDP blue
-    'FRAX': '#000000', // FRAX black
-    'LUSD': '#5BBDF9', // LUSD light blue
-    'PYUSD': '#FFD700', // PayPal gold
-    'USDD': '#2775CA', // USDD blue
-    'GUSD': '#2775CA', // GUSD blue
-    'TUSD': '#2775CA', // TUSD blue
-    'BUSD': '#F0B90B', // BUSD yellow
-    'USDK': '#2775CA', // USDK blue
-    'USDN': '#2775CA', // USDN blue
-    'USDJ': '#2775CA', // USDJ blue
-    'USDT0': '#26A17B', // USDT0 green (same as USDT)
-    'USDE': '#8B4513', // USDE brown
-    'USDe': '#000000', // USDe black (Ethena's USDe)
-    'SUSDE': '#2775CA', // SUSDE blue
-    'RLUSD': '#2775CA', // RLUSD blue
-    'USDS': '#FF6B35', // USDS orange
-    'USD1': '#2775CA', // USD1 blue
-    'USD0': '#2775CA', // USD0 blue
-    'USD.AI': '#2775CA', // USD.AI blue
-    'USD₮0': '#26A17B', // USD₮0 green (same as USDT)
-    'NUSD': '#2775CA', // NUSD blue
-    'USD0': '#2775CA', // USD0 blue
-    'lvlUSD': '#2775CA', // lvlUSD blue
-    'XAUt': '#FFD700', // Tether Gold gold
-    'TRYB': '#E30A17', // Turkish Lira red
-    'CRVUSD': '#2775CA', // CRVUSD blue
-    'SUSD': '#2775CA', // SUSD blue
-    'GHO': '#2775CA', // GHO blue
-    'MIM': '#2775CA', // MIM blue
-    'DOLA': '#2775CA', // DOLA blue
-    'USDM': '#2775CA', // USDM blue
-    'EUSD': '#2775CA', // EUSD blue
-    'MKUSD': '#2775CA', // MKUSD blue
-    'USDC.E': '#2775CA', // USDC.E blue
-    'USDBC': '#2775CA', // USDBC blue
-    'Others': '#6B7280' // Gray for Others
+  return {
+    ...coin,
+    mcap: usd(coin.native.mcap),
+    prevDay: usd(coin.native.prevDay),
+    prevWeek: usd(coin.native.prevWeek),
+    prevMonth: usd(coin.native.prevMonth),
+    chainSupply,
+    fxRate: rate
   };
-  
-  const canvas = document.getElementById('chartDonut').getContext('2d');
-  const rows = list.map(c => ({
-    label: c.symbol || c.name || '—',
-    mcap: Number(
-      (c.circulating && c.circulating.peggedUSD) ??
-      (c.circulating && c.circulating.usd) ??
-      (typeof c.mcap === 'number' ? c.mcap : 0)
-    )
-  })).filter(r => r.mcap > 0); // Only include stablecoins with market cap
-  rows.sort((a,b)=>b.mcap-a.mcap);
-  const top5 = rows.slice(0,5);
-  const others = rows.slice(5).reduce((s,r)=>s+r.mcap,0);
-  const labels = [...top5.map(r=>r.label), 'Others'];
-  const data = [...top5.map(r=>r.mcap), others];
-  
-  // Generate colors based on labels
-  const backgroundColor = labels.map(label => {
-    console.log('Label:', label, 'Color:', brandColors[label] || '#6B7280');
-    return brandColors[label] || '#6B7280';
+}
+
+async function fetchJSON(url) {
+  const res = await fetch(url, { headers: { 'accept': 'application/json' } });
+  if (!res.ok) throw new Error('HTTP ' + res.status + ' for ' + url);
+  return res.json();
+}
+
+// Transports: turn a request descriptor into a raw payload envelope
+async function llamaLoad(req) {
+  return fetchWithCache(req.url, { ttlSec: CACHE_TTL[req.endpoint], version: '1' });
+}
+
+async function fixtureLoad(req) {
+  const path = req.fixture.split('/').map(encodeURIComponent).join('/');
+  return { data: await fetchJSON(`${FIXTURE_BASE}/${path}`), source: 'fixture', fetchedAt: Date.now() };
+}
+
+// Both built-in providers speak DefiLlama JSON; only the transport differs
+function createLlamaProvider(load) {
+  const endpointByUrl = new Map();
+  subscribe('cache:updated', ({ url }) => {
+    const endpoint = endpointByUrl.get(url);
+    if (endpoint) publish('data:updated', { endpoint, url });
   });
+  const get = async (req, normalize) => {
+    endpointByUrl.set(req.url, req.endpoint);
+    const res = await load(req);
+    return { ...res, data: normalize(res.data) };
+  };
+  const getPrices = (geckoIds) => get({
+    endpoint: 'prices',
+    url: EP.PRICES(geckoIds.map(id => `coingecko:${id}`)),
+    fixture: 'prices.json'
+  }, llamaNormalize.prices);
+  const getFxRates = () => get({ endpoint: 'fx', url: EP.FX, fixture: 'fx.json' }, llamaNormalize.fx);
+  const getStablecoins = async () => {
+    const res = await get({ endpoint: 'stablecoins', url: EP.STABLECOINS, fixture: 'stablecoins.json' }, llamaNormalize.coins);
+    const [rates, floating] = await Promise.all([pegFxRates(res.data, getFxRates), floatingPegPrices(res.data, getPrices)]);
+    const rateFor = (c) => (FLOATING_PEGS.has(c.pegCurrency) ? floating.get(c.id) : rates.get(c.pegCurrency));
+    return { ...res, data: res.data.map(c => applyPegFx(c, rateFor(c))) };
+  };
+  const getAssetHistory = async (id, fxRate) => {
+    const res = await get({ endpoint: 'assetHistory', url: EP.ASSET(id), fixture: `stablecoin/${id}.json` }, llamaNormalize.asset);
+    if (res.data.pegCurrency === 'USD') return res;
+    const rate = fxRate !== undefined
+      ? fxRate || 0
+      : (await getStablecoins()).data.find(c => String(c.id) === String(id))?.fxRate || 0;
+    const chainSeries = {};
+    for (const [chain, series] of Object.entries(res.data.chainSeries)) {
+      chainSeries[chain] = series.map(p => ({ t: p.t, v: p.v * rate }));
+    }
+    return { ...res, data: { ...res.data, chainSeries, fxRate: rate } };
+  };
+  return {
+    getStablecoins,
+    getChains: () => get({ endpoint: 'chains', url: EP.STABLECOIN_CHAINS, fixture: 'stablecoinchains.json' }, llamaNormalize.chains),
+    getTotalHistory: () => get({ endpoint: 'totalHistory', url: EP.CHART_ALL, fixture: 'stablecoincharts/all.json' }, llamaNormalize.points),
+    getChainHistory: (chain) => get({ endpoint: 'chainHistory', url: EP.CHAIN_CHART(chain), fixture: `stablecoincharts/${chain}.json` }, llamaNormalize.points),
+    getAssetHistory,
+    getPrices,
+    getFxRates,
+    getPools: () => get({ endpoint: 'pools', url: EP.POOLS, fixture: 'pools.json' }, llamaNormalize.pools),
+    getProtocol: (slug) => get({ endpoint: 'protocol', url: EP.PROTOCOL(slug), fixture: `protocol/${slug}.json` }, (data) => llamaNormalize.protocol(data, slug))
+  };
+}
 
-  // Store chart instance globally to prevent multiple instances
-  window.donutChart = new Chart(canvas, {
-    type: 'doughnut',
-    data: { 
-      labels, 
-      datasets: [{ 
-        data,
-        backgroundColor,
-        borderColor: backgroundColor,
-        borderWidth: 2
-      }]
-    },
+const DATA_PROVIDERS = {
+  defillama: () => createLlamaProvider(llamaLoad),
+  fixtures: () => createLlamaProvider(fixtureLoad)
+};
+
+function resolveProviderName() {
+  let fromQuery = null;
+  try { fromQuery = new URLSearchParams(location.search).get('provider'); } catch { /* ignore */ }
+  const fromConfig = window.DASHBOARD_CONFIG && window.DASHBOARD_CONFIG.provider;
+  for (const name of [fromQuery, fromConfig]) {
+    if (!name) continue;
+    if (DATA_PROVIDERS[name]) return name;
+    console.warn(`Unknown data provider "${name}", using ${DEFAULT_PROVIDER}`);
+  }
+  return DEFAULT_PROVIDER;
+}
+
+const DATA_PROVIDER = resolveProviderName();
+const DATA = DATA_PROVIDERS[DATA_PROVIDER]();
+
+// -----------------------------
+// Tabs
+// -----------------------------
+let ACTIVE_TAB = 'overview';
+
+function setupTabs() {
+  const tabs = document.querySelectorAll('.tab');
+  tabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      showTab(tab.dataset.target);
+      syncRoute({ push: true });
+    });
+  });
+}
+
+function showTab(target) {
+  const tabs = document.querySelectorAll('.tab');
+  const sections = document.querySelectorAll('.tab-content');
+  if (!document.getElementById(target)) return;
+  ACTIVE_TAB = target;
+
+  tabs.forEach(t => t.classList.toggle('active', t.dataset.target === target));
+  sections.forEach(s => s.classList.add('hidden'));
+  document.getElementById(target).classList.remove('hidden');
+  
+  // Lazy init on first show
+  if (target === 'overview') {
+    initOverview();
+  } else if (target === 'historical') {
+    setTimeout(initHistorical, 50);
+  } else if (target === 'yields') {
+    initYields();
+  } else if (target === 'chains') {
+    setTimeout(initChains, 50);
+  } else if (target === 'plasma') {
+    setTimeout(initPlasma, 100); // Small delay to ensure tab is visible
+  }
+}
+
+// -----------------------------
+// Routing: #/<tab>?<view state>
+// -----------------------------
+// The hash holds the active tab plus that tab's selection, sort and filters.
+// Discrete navigation (tab, asset, chain, category) pushes a history entry;
+// typing and sorting replace the current one. Defaults are left out of the URL.
+const ROUTE_TABS = ['overview', 'historical', 'chains', 'yields', 'plasma'];
+let ROUTE_RESTORING = false;
+
+function readRoute() {
+  const raw = location.hash.replace(/^#\/?/, '');
+  const [tab, qs] = raw.split('?');
+  return {
+    tab: ROUTE_TABS.includes(tab) ? tab : 'overview',
+    params: new URLSearchParams(qs || '')
+  };
+}
+
+// Serialize the active tab's state; only non-default values are written
+function routeParamsFor(tab) {
+  const p = new URLSearchParams();
+  const set = (k, v, def) => { if (v != null && v !== '' && v !== def) p.set(k, String(v)); };
+  if (tab === 'overview') {
+    set('sort', listState.sortKey, 'mcap');
+    set('dir', listState.sortDir, 'desc');
+    set('peg', listState.pegType, 'all');
+    set('mech', listState.pegMechanism, 'all');
+    set('q', listState.search, '');
+    rangeToParams(OV_RANGE, set);
+    set('stack', OV_STACK.mode, 'usd');
+  } else if (tab === 'historical') {
+    set('asset', HIST_currentAssetId, null);
+    if (histCompare.enabled) {
+      p.set('compare', histCompare.ids.join(','));
+      set('mode', histCompare.mode, 'usd');
+      set('start', histCompare.start, null);
+    } else {
+      set('flow', histFlows.view, 'chains');
+    }
+    rangeToParams(HIST_RANGE, set);
+  } else if (tab === 'chains') {
+    set('chain', chainState.selected, null);
+    set('sort', chainState.sortKey, 'supply');
+    set('dir', chainState.sortDir, 'desc');
+  } else if (tab === 'yields') {
+    set('view', yieldState.view, 'pools');
+    set('stable', yieldState.stable, 'all');
+    set('chain', yieldState.chain, 'all');
+    set('tvl', yieldState.minTvl, 1_000_000);
+    set('apymin', yieldState.apyMin, null);
+    set('apymax', yieldState.apyMax, null);
+    set('sort', yieldState.sortKey, 'tvl');
+    set('dir', yieldState.sortDir, 'desc');
+  } else if (tab === 'plasma') {
+    set('cat', currentCategories.join(','), '');
+    set('match', currentMatch, 'or');
+    set('q', currentSearch, '');
+    set('sort', currentSort, 'featured');
+    set('view', currentLayout, 'grid');
+  }
+  return p;
+}
+
+function syncRoute({ push = false } = {}) {
+  if (ROUTE_RESTORING) return;
+  const qs = routeParamsFor(ACTIVE_TAB).toString().replace(/%2C/gi, ',');
+  const hash = `#/${ACTIVE_TAB}${qs ? `?${qs}` : ''}`;
+  if (hash === location.hash) return;
+  const url = `${location.pathname}${location.search}${hash}`;
+  if (push) history.pushState(null, '', url);
+  else history.replaceState(null, '', url);
+}
+
+// Apply the URL to view state, then show the tab (which lazy-inits if needed)
+function applyRoute() {
+  const { tab, params } = readRoute();
+  const get = (k, def) => (params.has(k) ? params.get(k) : def);
+  const num = (k, def) => (params.has(k) && !isNaN(Number(params.get(k))) ? Number(params.get(k)) : def);
+  ROUTE_RESTORING = true;
+  try {
+    if (tab === 'overview') {
+      Object.assign(listState, {
+        sortKey: get('sort', 'mcap'),
+        sortDir: get('dir', 'desc'),
+        pegType: get('peg', 'all'),
+        pegMechanism: get('mech', 'all'),
+        search: get('q', '')
+      });
+      syncStablecoinListControls();
+      if (SC_SNAPSHOT.length) rebuildStablecoinList(true);
+      const prevRange = JSON.stringify(OV_RANGE);
+      const prevStack = OV_STACK.mode;
+      rangeFromParams(OV_RANGE, get);
+      OV_STACK.mode = get('stack', 'usd') === 'share' ? 'share' : 'usd';
+      if (SC_SNAPSHOT.length && (prevRange !== JSON.stringify(OV_RANGE) || prevStack !== OV_STACK.mode)) renderStackedChart(SC_SNAPSHOT);
+    } else if (tab === 'historical') {
+      HIST_pendingAssetId = get('asset', null);
+      const wasComparing = histCompare.enabled;
+      const prevCompare = `${histCompare.ids.join()}|${histCompare.mode}|${histCompare.start}`;
+      histCompare.enabled = params.has('compare');
+      histCompare.ids = get('compare', '').split(',').filter(Boolean);
+      histCompare.mode = get('mode', 'usd');
+      histCompare.start = get('start', null);
+      const prevFlow = histFlows.view;
+      histFlows.view = get('flow', 'chains');
+      histSyncFlowControls();
+      const prevRange = JSON.stringify(HIST_RANGE);
+      rangeFromParams(HIST_RANGE, get);
+      if (HIST_allAssets.length && (prevRange !== JSON.stringify(HIST_RANGE) || prevFlow !== histFlows.view)) histRenderCharts();
+      if (HIST_allAssets.length) {
+        histSyncCompareControls();
+        if (histCompare.enabled) {
+          if (!wasComparing || prevCompare !== `${histCompare.ids.join()}|${histCompare.mode}|${histCompare.start}`) {
+            histMarkSelected();
+            histRenderComparison();
+          }
+        } else if (HIST_pendingAssetId && (wasComparing || String(HIST_pendingAssetId) !== String(HIST_currentAssetId))) {
+          const a = HIST_allAssets.find(x => String(x.id) === String(HIST_pendingAssetId));
+          if (a) histSelectAsset(a);
+        }
+      }
+    } else if (tab === 'chains') {
+      chainState.sortKey = get('sort', 'supply');
+      chainState.sortDir = get('dir', 'desc');
+      const chain = get('chain', null);
+      if (CHAIN_ROWS.length) {
+        renderChainTable();
+        if (chain && chain !== chainState.selected) selectChain(chain);
+      } else {
+        chainState.selected = chain;
+      }
+    } else if (tab === 'yields') {
+      Object.assign(yieldState, {
+        view: get('view', 'pools'),
+        stable: get('stable', 'all'),
+        chain: get('chain', 'all'),
+        minTvl: num('tvl', 1_000_000),
+        apyMin: num('apymin', null),
+        apyMax: num('apymax', null),
+        sortKey: get('sort', 'tvl'),
+        sortDir: get('dir', 'desc')
+      });
+      syncYieldControls();
+      if (YIELD_POOLS.length) renderYields(true);
+    } else if (tab === 'plasma') {
+      currentCategories = get('cat', '').split(',').filter(c => c && c !== 'all');
+      currentMatch = get('match', 'or') === 'and' ? 'and' : 'or';
+      currentSearch = get('q', '');
+      currentSort = PLASMA_SORTS.some(o => o.key === get('sort', '')) ? get('sort', '') : 'featured';
+      currentLayout = get('view', 'grid') === 'list' ? 'list' : 'grid';
+      syncPlasmaControls();
+      if (ecosystemData.length) applyFilters();
+    }
+    showTab(tab);
+  } finally {
+    ROUTE_RESTORING = false;
+  }
+}
+
+// -----------------------------
+// Overview: KPIs & Top Stablecoins
+// -----------------------------
+let SC_SNAPSHOT = []; // Coin[] (snapshot)
+let SC_CHAIN_SPLIT = null; // Chain[] totals
+let overviewInitDone = false;
+let listCursor = 0;
+const PAGE_SIZE = 20;
+let SC_PRICES = new Map(); // coin id -> { price, source }
+const OV_RANGE = createRangeState('90d'); // overview trend chart range
+const OV_STACK_TOP = 5; // coins stacked in the trend chart, the rest is "Others"
+const OV_STACK = { mode: 'usd', isolated: null }; // mode: 'usd' | 'share'; isolated: legend label shown alone
+let OV_STACK_RENDER = 0; // bumped per render so a slow one can't overwrite a newer chart
+// Per-coin layers need the top coins' full histories (USDT's alone is several MB):
+// they load once the chart is in view and are reused while still fresh
+let OV_STACK_WANTED = false;
+let OV_STACK_SERIES = null; // { key: top coin ids, loadedAt, coins }
+let overviewReady = false;
+let OV_SNAPSHOT_SIG = null; // fetchedAt of the snapshot + chains on screen
+let OV_TREND_FETCHED_AT = null; // fetchedAt of the trend chart on screen
+
+// Fetch snapshot + chains; returns true when they differ from what is on screen
+async function loadOverviewSnapshot() {
+  const [coins, chains] = await Promise.all([DATA.getStablecoins(), DATA.getChains()]);
+  const sig = `${coins.fetchedAt}|${chains.fetchedAt}`;
+  const changed = sig !== OV_SNAPSHOT_SIG;
+  SC_SNAPSHOT = coins.data;
+  SC_CHAIN_SPLIT = chains.data;
+  OV_SNAPSHOT_SIG = sig;
+  stampUpdated('ovKpis', coins, chains);
+  stampUpdated('ovDonut', coins);
+  stampUpdated('scList', coins);
+  // Live peg prices (falls back to the snapshot's own price field)
+  const { prices, ...priceEnv } = await fetchPegPrices(SC_SNAPSHOT);
+  SC_PRICES = prices;
+  stampUpdated('ovPrices', priceEnv.fetchedAt ? priceEnv : coins);
+  return changed;
+}
+
+async function initOverview() {
+  if (overviewInitDone) return;
+  overviewInitDone = true;
+
+  try {
+    await loadOverviewSnapshot();
+  } catch (e) {
+    console.error('Failed to load overview data:', e);
+    overviewInitDone = false; // "Retry now" runs init again
+    return;
+  }
+
+  // KPIs
+  computeKPIs(SC_SNAPSHOT, SC_CHAIN_SPLIT, await fetchKpiTotals());
+  renderDepegKPI(SC_SNAPSHOT);
+  renderWatchlistKPI(SC_SNAPSHOT);
+  // Top list
+  listCursor = 0;
+  document.getElementById('loadMore').addEventListener('click', () => rebuildStablecoinList(false));
+  setupDepegBandControl();
+  setupStablecoinListControls();
+  rebuildStablecoinList(true);
+  // Charts (optional, will gracefully skip if Chart.js not loaded); the trend
+  // draws the total first and never holds up the rest of the tab
+  renderDonut(SC_SNAPSHOT);
+  setupRangeControls(document.getElementById('ovRangeControls'), OV_RANGE, onOverviewRangeChange);
+  setupStackControls();
+  watchStackedChart();
+  if (!OV_STACK_WANTED) renderStackedChart(SC_SNAPSHOT);
+  setupConcentrationControls();
+  loadIssuerConcentration();
+  watchIssuerConcentration();
+  overviewReady = true;
+}
+
+// Re-render in place; charts are only rebuilt when their data changed
+async function refreshOverview() {
+  const changed = await loadOverviewSnapshot();
+  const totalRes = await DATA.getTotalHistory();
+  stampUpdated('ovTrend', totalRes);
+  const trendChanged = totalRes.fetchedAt !== OV_TREND_FETCHED_AT;
+  if (changed || trendChanged) computeKPIs(SC_SNAPSHOT, SC_CHAIN_SPLIT, totalRes.data);
+  if (changed) {
+    renderWatchlistKPI(SC_SNAPSHOT);
+    renderDonut(SC_SNAPSHOT);
+    loadIssuerConcentration();
+  }
+  renderDepegKPI(SC_SNAPSHOT);
+  rerenderPaged(rebuildStablecoinList, () => listCursor);
+  if (trendChanged) await renderStackedChart(SC_SNAPSHOT);
+}
+
+// KPI cards: headline value, 1d/7d/30d deltas, a sparkline and an exact-value tooltip
+const KPI_PERIODS = [
+  { label: '1d', field: 'prevDay', days: 1 },
+  { label: '7d', field: 'prevWeek', days: 7 },
+  { label: '30d', field: 'prevMonth', days: 30 }
+];
+const KPI_SPARK_DAYS = 30;
+// Cards without a history endpoint only have the snapshot's prev fields to plot
+const KPI_SNAPSHOT_SPARK_NOTE = '4 points: 30d, 7d, 1d ago, now';
+const KPI_BIG_CHAIN_USD = 100_000_000;
+
+// Total supply history for the market cap card; the other KPIs render without it
+async function fetchKpiTotals() {
+  try {
+    return (await DATA.getTotalHistory()).data;
+  } catch (e) {
+    console.warn('Failed to load total history for KPIs:', e);
+    return [];
+  }
+}
+
+// KPI values from one snapshot field: 'mcap' (now) or prevDay/prevWeek/prevMonth.
+// Dominance follows the current top coin so its trend is about one asset.
+function kpiValuesAt(list, field, topId) {
+  const chainField = field === 'mcap' ? 'current' : field;
+  const rows = list.filter(c => c[field] > 0);
+  const total = rows.reduce((s, c) => s + c[field], 0);
+  const top = rows.find(c => c.id === topId);
+  const chains = {};
+  for (const c of list) {
+    for (const [name, v] of Object.entries(c.chainSupply || {})) {
+      chains[name] = (chains[name] || 0) + (v[chainField] || 0);
+    }
+  }
+  return {
+    total,
+    dominance: total > 0 && top ? top[field] / total * 100 : null,
+    coins: rows.length,
+    bigChains: Object.values(chains).filter(v => v > KPI_BIG_CHAIN_USD).length
+  };
+}
+
+// Inline SVG trend line; points are { x, y } ascending. With a note (sparse
+// series) each point gets a dot so the line isn't mistaken for a daily history.
+function sparklineSVG(points, note = '') {
+  const pts = points.filter(p => p.y != null && isFinite(p.y));
+  if (pts.length < 2) return '';
+  const w = 120, h = 28;
+  const x0 = pts[0].x, x1 = pts[pts.length - 1].x;
+  const ys = pts.map(p => p.y);
+  const min = Math.min(...ys), max = Math.max(...ys);
+  const xy = pts.map(p => [
+    (x1 > x0 ? (p.x - x0) / (x1 - x0) * w : 0).toFixed(1),
+    (max > min ? h - 2 - (p.y - min) / (max - min) * (h - 4) : h / 2).toFixed(1)
+  ]);
+  const coords = xy.map(([x, y]) => `${x},${y}`).join(' ');
+  const trend = ys[ys.length - 1] > ys[0] ? 'pos' : (ys[ys.length - 1] < ys[0] ? 'neg' : 'muted');
+  // Zero-length round-capped lines stay round under preserveAspectRatio="none"; circles would stretch
+  const dots = note
+    ? xy.map(([x, y]) => `<line x1="${x}" y1="${y}" x2="${x}" y2="${y}" stroke="currentColor" stroke-width="5" stroke-linecap="round" vector-effect="non-scaling-stroke"/>`).join('')
+    : '';
+  return `<svg class="kpi-spark ${trend}" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" aria-hidden="true"><polyline points="${coords}" fill="none" stroke="currentColor" stroke-width="1.5" vector-effect="non-scaling-stroke"/>${dots}</svg>`;
+}
+
+// past holds one value per KPI_PERIODS entry; delta(now, past) returns HTML, exact(v) the tooltip text;
+// sparkNote labels a sparse sparkline
+function renderKPICard({ id, text, now, past, delta, exact, points, sparkNote = '' }) {
+  const valueEl = document.getElementById(id);
+  const trendEl = document.getElementById(`${id}Trend`);
+  if (!valueEl) return;
+  valueEl.textContent = text;
+  const card = valueEl.closest('.kpi');
+  const label = card?.querySelector('.kpi-label')?.textContent || '';
+  if (trendEl) {
+    trendEl.innerHTML = `
+      <div class="kpi-deltas small">${KPI_PERIODS.map((p, i) => `<span><span class="muted">${p.label}</span> ${delta(now, past[i])}</span>`).join('')}</div>
+      ${sparklineSVG(points, sparkNote)}
+      ${sparkNote ? `<div class="kpi-spark-note muted">Trend: ${sparkNote}</div>` : ''}
+    `;
+  }
+  if (card) {
+    card.title = [
+      label,
+      `Now: ${exact(now)}`,
+      ...KPI_PERIODS.map((p, i) => `${p.label} ago: ${past[i] == null ? '—' : exact(past[i])}`),
+      ...(sparkNote ? [`Trend: ${sparkNote}`] : [])
+    ].join('\n');
+  }
+}
+
+function computeKPIs(list, chainSplit, totalPoints = []) {
+  // Only count stablecoins with market cap
+  const rows = list.filter(c => c.mcap > 0).sort((a, b) => b.mcap - a.mcap);
+  const top = rows[0] || { mcap: 0, symbol: '—', id: null };
+  const now = kpiValuesAt(rows, 'mcap', top.id);
+  // The full list: a coin redeemed to zero since still counts in the past
+  const past = KPI_PERIODS.map(p => kpiValuesAt(list, p.field, top.id));
+  // Sparkline x positions for the snapshot-derived series (30d, 7d, 1d ago, now)
+  const at = Date.now();
+  const snapshotPoints = (key, nowValue) => [
+    ...KPI_PERIODS.map((p, i) => ({ x: at - p.days * DAY_MS, y: past[i][key] })).reverse(),
+    { x: at, y: nowValue }
+  ];
+  const pctDelta = (a, b) => fmtChange(a != null && b > 0 ? (a - b) / b * 100 : null);
+  const countDelta = (a, b) => fmtDelta(a != null && b != null ? a - b : null);
+
+  // Total: deltas compare the snapshot with its own prev fields so both ends share
+  // a source and a reference time; stablecoincharts/all only draws the sparkline
+  const last = totalPoints.length ? totalPoints[totalPoints.length - 1] : null;
+  renderKPICard({
+    id: 'kpiTotalMcap',
+    text: formatUSD(now.total),
+    now: now.total,
+    past: past.map(v => v.total),
+    delta: pctDelta,
+    exact: (v) => `$${Math.round(v).toLocaleString('en-US')}`,
+    points: last ? totalPoints.filter(p => p.x >= last.x - KPI_SPARK_DAYS * DAY_MS) : snapshotPoints('total', now.total),
+    sparkNote: last ? '' : KPI_SNAPSHOT_SPARK_NOTE
+  });
+  renderKPICard({
+    id: 'kpiTopDominance',
+    text: `${fmtPct(now.dominance)} (${top.symbol})`,
+    now: now.dominance,
+    past: past.map(v => v.dominance),
+    delta: (a, b) => fmtDelta(a != null && b != null ? a - b : null, 2, 'pp'),
+    exact: (v) => `${v.toFixed(4)}% (${top.symbol})`,
+    points: snapshotPoints('dominance', now.dominance),
+    sparkNote: KPI_SNAPSHOT_SPARK_NOTE
+  });
+  renderKPICard({
+    id: 'kpiCountCoins',
+    text: String(now.coins),
+    now: now.coins,
+    past: past.map(v => v.coins),
+    delta: countDelta,
+    exact: String,
+    points: snapshotPoints('coins', now.coins),
+    sparkNote: KPI_SNAPSHOT_SPARK_NOTE
+  });
+
+  // Chains > $100m: counted from the coins' chain splits so today and the past share a basis;
+  // the chains endpoint is the fallback when coins carry no split
+  const hasSplits = rows.some(c => c.chainSupply && Object.keys(c.chainSupply).length);
+  const bigChains = !hasSplits && Array.isArray(chainSplit)
+    ? chainSplit.filter(ch => ch.supply > KPI_BIG_CHAIN_USD).length
+    : now.bigChains;
+  renderKPICard({
+    id: 'kpiBigChains',
+    text: bigChains ? String(bigChains) : '—',
+    now: bigChains,
+    past: past.map(v => v.bigChains),
+    delta: countDelta,
+    exact: String,
+    points: snapshotPoints('bigChains', bigChains),
+    sparkNote: KPI_SNAPSHOT_SPARK_NOTE
+  });
+}
+
+// Brand colors for stablecoins (donut and stacked trend)
+const BRAND_COLORS = {
+  'USDT': '#26A17B', // Tether green
+  'USDC': '#2775CA', // USDC blue
+  'DAI': '#F5AC37', // DAI orange
+  'FDUSD': '#2775CA', // FDUSD blue (similar to USDC)
+  'USDP': '#2775CA', // USDP blue
+  'FRAX': '#000000', // FRAX black
+  'LUSD': '#5BBDF9', // LUSD light blue
+  'PYUSD': '#FFD700', // PayPal gold
+  'USDD': '#2775CA', // USDD blue
+  'GUSD': '#2775CA', // GUSD blue
+  'TUSD': '#2775CA', // TUSD blue
+  'BUSD': '#F0B90B', // BUSD yellow
+  'USDK': '#2775CA', // USDK blue
+  'USDN': '#2775CA', // USDN blue
+  'USDJ': '#2775CA', // USDJ blue
+  'USDT0': '#26A17B', // USDT0 green (same as USDT)
+  'USDE': '#8B4513', // USDE brown
+  'USDe': '#000000', // USDe black (Ethena's USDe)
+  'SUSDE': '#2775CA', // SUSDE blue
+  'RLUSD': '#2775CA', // RLUSD blue
+  'USDS': '#FF6B35', // USDS orange
+  'USD1': '#2775CA', // USD1 blue
+  'USD0': '#2775CA', // USD0 blue
+  'USD.AI': '#2775CA', // USD.AI blue
+  'USD₮0': '#26A17B', // USD₮0 green (same as USDT)
+  'NUSD': '#2775CA', // NUSD blue
+  'lvlUSD': '#2775CA', // lvlUSD blue
+  'XAUt': '#FFD700', // Tether Gold gold
+  'TRYB': '#E30A17', // Turkish Lira red
+  'CRVUSD': '#2775CA', // CRVUSD blue
+  'SUSD': '#2775CA', // SUSD blue
+  'GHO': '#2775CA', // GHO blue
+  'MIM': '#2775CA', // MIM blue
+  'DOLA': '#2775CA', // DOLA blue
+  'USDM': '#2775CA', // USDM blue
+  'EUSD': '#2775CA', // EUSD blue
+  'MKUSD': '#2775CA', // MKUSD blue
+  'USDC.E': '#2775CA', // USDC.E blue
+  'USDBC': '#2775CA', // USDBC blue
+  'Others': '#6B7280' // Gray for Others
+};
+
+// Brand colours for a stack of series; repeats (many brands share USDC blue) fall back to the palette
+function stackColors(labels) {
+  const palette = histPrepareColors(labels.length);
+  const used = new Set();
+  return labels.map((label, i) => {
+    const brand = BRAND_COLORS[label];
+    const color = brand && !used.has(brand) ? brand : palette.find(c => !used.has(c)) || palette[i];
+    used.add(color);
+    return color;
+  });
+}
+
+function renderDonut(list) {
+  if (!window.Chart) return; // Chart.js not loaded
+  
+  // Destroy existing chart if it exists
+  if (window.donutChart) {
+    window.donutChart.destroy();
+  }
+  
+  const canvas = document.getElementById('chartDonut').getContext('2d');
+  const rows = list.map(c => ({
+    label: c.symbol,
+    mcap: c.mcap
+  })).filter(r => r.mcap > 0); // Only include stablecoins with market cap
+  rows.sort((a,b)=>b.mcap-a.mcap);
+  const top5 = rows.slice(0,5);
+  const others = rows.slice(5).reduce((s,r)=>s+r.mcap,0);
+  const labels = [...top5.map(r=>r.label), 'Others'];
+  const data = [...top5.map(r=>r.mcap), others];
+  
+  // Generate colors based on labels
+  const backgroundColor = labels.map(label => BRAND_COLORS[label] || '#6B7280');
+
+  // Store chart instance globally to prevent multiple instances
+  window.donutChart = new Chart(canvas, {
+    type: 'doughnut',
+    data: { 
+      labels, 
+      datasets: [{ 
+        data,
+        backgroundColor,
+        borderColor: backgroundColor,
+        borderWidth: 2
+      }]
+    },
     options: {
       responsive: true,
       maintainAspectRatio: true,
@@ -343,94 +1649,122 @@ function renderDonut(list) {
   });
 }
 
+// Add the per-coin layers once the chart scrolls into view
+function watchStackedChart() {
+  whenVisible(document.getElementById('chartStacked'), () => {
+    OV_STACK_WANTED = true;
+    renderStackedChart(SC_SNAPSHOT);
+  });
+}
+
+// Top coins by current supply, each as a daily USD series keyed by UTC day
+async function loadStackSeries(list) {
+  const top = list.filter(c => c.mcap > 0).sort((a, b) => b.mcap - a.mcap).slice(0, OV_STACK_TOP);
+  const key = top.map(c => c.id).join(',');
+  const cached = OV_STACK_SERIES;
+  if (cached && cached.key === key && Date.now() - cached.loadedAt < CACHE_TTL.assetHistory * 1000) return cached.coins;
+  const results = await Promise.allSettled(top.map(c => histFetchAsset(c.id)));
+  const coins = top.map((coin, i) => {
+    if (results[i].status !== 'fulfilled') {
+      console.warn(`Failed to load history for ${coin.symbol}; it is counted in Others:`, results[i].reason);
+      return null;
+    }
+    const { allDates, chainToUnified } = histBuildTimeIndex(results[i].value.data.chainSeries);
+    const byDay = new Map(histBuildTotalSeries(chainToUnified, allDates).map(p => [Math.floor(p.x / DAY_MS), p.y]));
+    return { label: coin.symbol, byDay, first: allDates[0] };
+  }).filter(Boolean);
+  // Keep only complete sets, so a failed coin is retried next time
+  if (coins.length === top.length) OV_STACK_SERIES = { key, loadedAt: Date.now(), coins };
+  return coins;
+}
+
+// Stack the top coins on the total's dates; Others is whatever the total has left over
+function buildStackDatasets(totalPoints, coins) {
+  const series = coins.map(c => {
+    let last = 0;
+    return totalPoints.map(p => {
+      const v = c.byDay.get(Math.floor(p.x / DAY_MS));
+      if (v != null) last = v;
+      else if (p.x < c.first) last = 0;
+      return { x: p.x, y: last };
+    });
+  });
+  const others = totalPoints.map((p, i) => ({
+    x: p.x,
+    y: Math.max(0, p.y - series.reduce((s, pts) => s + pts[i].y, 0))
+  }));
+  return [...coins.map((c, i) => ({ label: c.label, points: series[i] })), { label: coins.length ? 'Others' : 'Total', points: others }];
+}
+
+// 100% mode: each layer as its share of the stack at that date
+function stackToShare(layers) {
+  return layers.map(layer => ({
+    ...layer,
+    points: layer.points.map((p, i) => {
+      const sum = layers.reduce((s, l) => s + (l.points[i]?.y || 0), 0);
+      return { x: p.x, y: sum > 0 ? p.y / sum * 100 : 0 };
+    })
+  }));
+}
+
+// The chart on screen stays up until its replacement is ready
 async function renderStackedChart(list) {
   if (!window.Chart) return; // Chart.js not loaded
   
-  // Destroy existing chart if it exists
-  if (window.stackedChart) {
-    try {
-      window.stackedChart.destroy();
-      window.stackedChart = null;
-    } catch (e) {
-      console.warn('Error destroying existing chart:', e);
-    }
-  }
-  
   const canvas = document.getElementById('chartStacked').getContext('2d');
+  const token = ++OV_STACK_RENDER;
+  syncStackControls();
   
   try {
+    // Total market cap over time; the range controls pick the window
+    const totalRes = await DATA.getTotalHistory();
+    const allPoints = totalRes.data;
+    OV_TREND_FETCHED_AT = totalRes.fetchedAt;
+    stampUpdated('ovTrend', totalRes);
     
-    
-    // Use the /stablecoincharts/all endpoint for total market cap over time
-    const { data: response } = await fetchWithCache(
-      'https://stablecoins.llama.fi/stablecoincharts/all',
-      { ttlSec: 300, version: '1' }
-    );
-    
-    if (!response || !Array.isArray(response) || response.length === 0) {
-      console.warn('No historical data available from /stablecoincharts/all');
+    if (!allPoints.length) {
+      console.warn('No historical data available for total market cap');
       createEmptyChart(canvas);
       return;
     }
+
+    const bounds = resolveRange(OV_RANGE, allPoints[0].x, allPoints[allPoints.length - 1].x);
+    const inRange = applyRangeToPoints(allPoints, OV_RANGE, bounds);
+    syncRangeControls(document.getElementById('ovRangeControls'), OV_RANGE, bounds);
+    updateOverviewTrendLabels();
     
-    
-    
-    // Filter to last 90 days and parse data
-    const now = Date.now();
-    const ninetyDaysAgo = now - (90 * 24 * 60 * 60 * 1000);
-    
-    const chartData = response
-      .map(dataPoint => {
-        // Parse timestamp (DeFiLlama uses Unix timestamps)
-        let timestamp = dataPoint.date;
-        if (typeof timestamp === 'string') {
-          timestamp = parseInt(timestamp);
-        }
-        if (timestamp < 1e12) {
-          timestamp *= 1000; // Convert seconds to milliseconds
-        }
-        
-        // Extract total circulating USD value
-        const totalValue = dataPoint.totalCirculating?.peggedUSD || 0;
-        
-        return {
-          x: timestamp,
-          y: totalValue
-        };
-      })
-      .filter(point => 
-        point.x >= ninetyDaysAgo && 
-        point.x <= now && 
-        point.y > 0
-      )
-      .sort((a, b) => a.x - b.x);
-    
-    if (chartData.length < 2) {
+    if (inRange.length < 2) {
       console.warn('Insufficient data points for chart');
       createEmptyChart(canvas);
       return;
     }
+
+    const coins = OV_STACK_WANTED ? await loadStackSeries(list) : [];
+    if (token !== OV_STACK_RENDER) return; // a newer render started while the histories loaded
+    if (window.stackedChart) window.stackedChart.destroy();
+    let layers = buildStackDatasets(inRange, coins);
+    const share = OV_STACK.mode === 'share';
+    if (share) layers = stackToShare(layers);
+    if (OV_STACK.isolated && !layers.some(l => l.label === OV_STACK.isolated)) OV_STACK.isolated = null;
+    const colors = stackColors(layers.map(l => l.label));
+    const fmtValue = share ? (v) => fmtPct(v, 1) : (v) => formatUSD(v);
     
-    
-    
-    // Create the chart
     window.stackedChart = new Chart(canvas, {
       type: 'line',
+      plugins: [dragZoomPlugin],
       data: {
-        datasets: [{
-          label: 'Total Stablecoin Market Cap',
-          data: chartData,
-          borderColor: 'rgba(74, 222, 128, 1)',
-          backgroundColor: 'rgba(74, 222, 128, 0.1)',
-          borderWidth: 3,
-          fill: true,
+        datasets: layers.map((l, i) => ({
+          label: l.label,
+          data: l.points,
+          borderColor: colors[i],
+          backgroundColor: colors[i] + '99',
+          borderWidth: 1,
+          fill: i === 0 ? 'origin' : '-1',
           tension: 0.2,
           pointRadius: 0,
-          pointHoverRadius: 6,
-          pointHoverBackgroundColor: 'rgba(74, 222, 128, 1)',
-          pointHoverBorderColor: '#ffffff',
-          pointHoverBorderWidth: 2
-        }]
+          pointHoverRadius: 4,
+          hidden: OV_STACK.isolated != null && l.label !== OV_STACK.isolated
+        }))
       },
       options: {
         responsive: true,
@@ -453,14 +1787,18 @@ async function renderStackedChart(list) {
             grid: { color: 'rgba(255,255,255,0.1)' }
           },
           y: {
+            stacked: true,
+            min: 0,
+            max: share && !OV_STACK.isolated ? 100 : undefined,
             ticks: { 
               color: 'rgba(255,255,255,0.7)',
-              callback: (v) => formatUSD(v)
+              callback: (v) => share ? `${v}%` : formatUSD(v)
             },
             grid: { color: 'rgba(255,255,255,0.1)' }
           }
         },
         plugins: { 
+          dragZoom: { onZoom: (from, to) => zoomRangeState(OV_RANGE, from, to, onOverviewRangeChange) },
           legend: { 
             labels: { 
               color: 'rgba(255,255,255,0.7)',
@@ -468,15 +1806,17 @@ async function renderStackedChart(list) {
               padding: 15,
               font: { size: 12 }
             },
-            position: 'top'
+            position: 'top',
+            // Click isolates a coin; clicking it again brings the full stack back
+            onClick: (e, item) => isolateStackLayer(item.text)
           },
           tooltip: {
-            mode: 'nearest',
+            mode: 'index',
             intersect: false,
+            itemSort: (a, b) => b.datasetIndex - a.datasetIndex,
             callbacks: {
-              label: function(context) {
-                return `Total Market Cap: ${formatUSD(context.parsed.y)}`;
-              },
+              label: (context) => `${context.dataset.label}: ${fmtValue(context.parsed.y)}`,
+              footer: (items) => share || OV_STACK.isolated ? '' : `Total: ${formatUSD(items.reduce((s, it) => s + it.parsed.y, 0))}`,
               title: function(context) {
                 return new Date(context[0].parsed.x).toLocaleDateString();
               }
@@ -484,22 +1824,70 @@ async function renderStackedChart(list) {
           }
         },
         interaction: {
-          mode: 'nearest',
+          mode: 'index',
           axis: 'x',
           intersect: false
         }
       }
     });
-
-    
-
+    applyRangeToChartOptions(window.stackedChart, OV_RANGE, bounds, { allowLog: !share });
+    window.stackedChart.update('none');
   } catch (error) {
     console.error('Error rendering chart:', error);
     createEmptyChart(canvas);
   }
 }
 
+function isolateStackLayer(label) {
+  const chart = window.stackedChart;
+  if (!chart) return;
+  OV_STACK.isolated = OV_STACK.isolated === label ? null : label;
+  chart.data.datasets.forEach((ds, i) => {
+    chart.setDatasetVisibility(i, OV_STACK.isolated == null || ds.label === OV_STACK.isolated);
+  });
+  chart.options.scales.y.max = OV_STACK.mode === 'share' && !OV_STACK.isolated ? 100 : undefined;
+  chart.update();
+}
+
+function setOverviewStackMode(mode) {
+  if (mode === OV_STACK.mode) return;
+  OV_STACK.mode = mode;
+  renderStackedChart(SC_SNAPSHOT);
+  syncRoute();
+}
+
+function syncStackControls() {
+  document.querySelectorAll('#ovStackModes [data-mode]').forEach(b => b.classList.toggle('active', b.dataset.mode === OV_STACK.mode));
+}
+
+function setupStackControls() {
+  document.querySelectorAll('#ovStackModes [data-mode]').forEach(btn => {
+    if (btn.hasEventListener) return;
+    btn.addEventListener('click', () => setOverviewStackMode(btn.dataset.mode));
+    btn.hasEventListener = true;
+  });
+  syncStackControls();
+}
+
+function onOverviewRangeChange() {
+  renderStackedChart(SC_SNAPSHOT);
+  syncRoute();
+}
+
+function updateOverviewTrendLabels() {
+  const titleEl = document.getElementById('ovTrendTitle');
+  const noteEl = document.getElementById('ovTrendNote');
+  const preset = RANGE_PRESETS.find(p => p.key === OV_RANGE.preset);
+  if (titleEl) titleEl.textContent = preset ? `Market Cap by Stablecoin · ${preset.label}` : 'Market Cap by Stablecoin · Custom range';
+  if (noteEl) {
+    const res = RESOLUTIONS.find(r => r.key === OV_RANGE.resolution);
+    const log = OV_RANGE.log && OV_STACK.mode === 'usd';
+    noteEl.textContent = `Top ${OV_STACK_TOP} + Others · ${res ? res.label : 'Daily'} granularity${log ? ', log scale' : ''} · click a legend entry to isolate it, drag to zoom, shift+drag to pan`;
+  }
+}
+
 function createEmptyChart(canvas) {
+  if (window.stackedChart) window.stackedChart.destroy();
   window.stackedChart = new Chart(canvas, {
     type: 'line',
     data: { 
@@ -516,97 +1904,442 @@ function createEmptyChart(canvas) {
   });
 }
 
-// Build the Top Stablecoins list, paginated with live data
-async function rebuildStablecoinList(reset) {
-  const listEl = document.getElementById('stablecoinList');
-  const loadBtn = document.getElementById('loadMore');
-  if (reset) {
-    listEl.innerHTML = '';
-    listCursor = 0;
-  }
-  
-  // Build base rows from live data
-  const rows = SC_SNAPSHOT.map(c => {
-    // Extract market cap from live data structure
-    const mcap = Number(
-      (c.circulating && c.circulating.peggedUSD) ??
-      (c.circulating && c.circulating.usd) ??
-      (typeof c.mcap === 'number' ? c.mcap : 0)
-    );
-    
-    const symbol = c.symbol || c.name || '—';
-    const name = c.name || c.symbol || '—';
-    
-    // Extract chain information from live data
-    let chains = [];
-    if (c.chainCirculating && typeof c.chainCirculating === 'object') {
-      // Extract chain names from chainCirculating object
-      chains = Object.keys(c.chainCirculating).map(chainName => ({
-        name: chainName,
-        amount: c.chainCirculating[chainName]?.current?.peggedUSD || 0
-      })).filter(chain => chain.amount > 0)
-        .sort((a, b) => b.amount - a.amount);
-    }
-    
-    // Calculate market cap changes
-    const prevDay = c.circulatingPrevDay?.peggedUSD || 0;
-    const prevWeek = c.circulatingPrevWeek?.peggedUSD || 0;
-    const prevMonth = c.circulatingPrevMonth?.peggedUSD || 0;
-    
-    const dayChange = prevDay > 0 ? ((mcap - prevDay) / prevDay * 100) : 0;
-    const weekChange = prevWeek > 0 ? ((mcap - prevWeek) / prevWeek * 100) : 0;
-    const monthChange = prevMonth > 0 ? ((mcap - prevMonth) / prevMonth * 100) : 0;
-    
-    return { 
-      symbol, 
-      name, 
-      mcap, 
-      chains, 
-      id: c.id || symbol, 
-      coinObj: c,
-      pegType: c.pegType || '—',
-      priceSource: c.priceSource || '—',
-      pegMechanism: c.pegMechanism || '—',
-      geckoId: c.gecko_id || null,
-      dayChange,
-      weekChange,
-      monthChange,
-      prevDay,
-      prevWeek,
-      prevMonth
-    };
-  }).filter(r => r.mcap > 0) // Only show stablecoins with market cap
-    .sort((a, b) => b.mcap - a.mcap);
+// -----------------------------
+// Watchlist: starred coins, pinned in both lists
+// -----------------------------
+const WATCHLIST_STORAGE_KEY = 'watchlist';
+let WATCHLIST = loadWatchlist(); // coin ids (strings), in the order they were starred
 
-  // Use all rows (no filtering)
-  const filteredRows = rows;
+function loadWatchlist() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY) || '[]');
+    return Array.isArray(ids) ? ids.map(String) : [];
+  } catch { return []; }
+}
 
-  const slice = filteredRows.slice(listCursor, listCursor + PAGE_SIZE);
-  
-  if (slice.length === 0) {
-    const noDataRow = document.createElement('div');
-    noDataRow.className = 'row';
-    noDataRow.innerHTML = '<div class="muted">No stablecoins found</div>';
-    listEl.appendChild(noDataRow);
-    loadBtn.disabled = true;
-    loadBtn.textContent = 'No data';
+function isWatched(id) {
+  return WATCHLIST.includes(String(id));
+}
+
+function toggleWatch(id, event) {
+  if (event) event.stopPropagation(); // don't select the row underneath
+  const key = String(id);
+  WATCHLIST = isWatched(key) ? WATCHLIST.filter(x => x !== key) : [...WATCHLIST, key];
+  try { localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(WATCHLIST)); } catch { /* ignore */ }
+  publish('watchlist:changed', { ids: WATCHLIST });
+}
+
+// Stable partition: watched coins first, each group keeps its incoming order
+function pinWatched(list) {
+  return [...list.filter(c => isWatched(c.id)), ...list.filter(c => !isWatched(c.id))];
+}
+
+function starHTML(id) {
+  const on = isWatched(id);
+  return `<button class="star-btn${on ? ' on' : ''}" onclick="toggleWatch('${id}', event)" title="${on ? 'Remove from' : 'Add to'} watchlist" aria-pressed="${on}">${on ? '★' : '☆'}</button>`;
+}
+
+function renderWatchlistKPI(list) {
+  const valueEl = document.getElementById('kpiWatchlist');
+  const subEl = document.getElementById('kpiWatchlistSub');
+  const labelEl = document.getElementById('kpiWatchlistLabel');
+  if (!valueEl) return;
+  const coins = list.filter(c => isWatched(c.id));
+  if (labelEl) labelEl.textContent = coins.length ? `Watchlist (${coins.length})` : 'Watchlist';
+  if (!coins.length) {
+    valueEl.textContent = '—';
+    if (subEl) subEl.textContent = 'Star coins to track them here';
     return;
   }
+  const mcap = coins.reduce((s, c) => s + (c.mcap || 0), 0);
+  // Only coins with a value at the start of the period, so a coin launched
+  // inside it doesn't count as growth
+  const change = (key) => {
+    const held = coins.filter(c => c[key] > 0);
+    const prev = held.reduce((s, c) => s + c[key], 0);
+    const now = held.reduce((s, c) => s + (c.mcap || 0), 0);
+    return prev > 0 ? (now - prev) / prev * 100 : null;
+  };
+  valueEl.textContent = formatUSD(mcap);
+  if (subEl) {
+    subEl.innerHTML = `1d ${fmtChange(change('prevDay'))} · 7d ${fmtChange(change('prevWeek'))} · 30d ${fmtChange(change('prevMonth'))}`;
+    subEl.title = coins.map(c => c.symbol).join(', ');
+  }
+}
 
-  slice.forEach(r => {
-    const row = document.createElement('div');
-    row.className = 'row';
-    
-    // Build top chain labels from live data
-    const chainBadges = r.chains.slice(0, 3).map(ch => 
-      `<span class="badge" title="${ch.name}: ${formatUSD(ch.amount)}">${ch.name}</span>`
-    ).join(' ') + (r.chains.length > 3 ? ` <span class="badge clickable" onclick="showChainModal('${r.symbol}', ${JSON.stringify(r.chains).replace(/"/g, '&quot;')})">+${r.chains.length - 3}</span>` : '');
+subscribe('watchlist:changed', () => {
+  if (overviewReady) {
+    renderWatchlistKPI(SC_SNAPSHOT);
+    rerenderPaged(rebuildStablecoinList, () => listCursor);
+  }
+  if (historicalReady) histFilterAssets(document.getElementById('histSearch')?.value);
+});
+
+// Stars made in another tab
+window.addEventListener('storage', (e) => {
+  if (e.key !== WATCHLIST_STORAGE_KEY) return;
+  WATCHLIST = loadWatchlist();
+  publish('watchlist:changed', { ids: WATCHLIST });
+});
+
+// -----------------------------
+// Concentration: HHI, top-N share, Gini
+// -----------------------------
+// Shared by the Overview issuer panel and the Historical chain panel. Shares
+// are measured against `total` when given, so a market total that includes
+// untracked coins still yields honest top-N shares.
+const CONC_ISSUERS = 10; // issuer history is built from the largest coins' own histories
+const CONC_METRICS = [
+  { key: 'hhi', label: 'HHI', fmt: (v) => (v == null ? '—' : Math.round(v).toLocaleString('en-US')) },
+  { key: 'top3', label: 'Top-3 share', fmt: (v) => fmtPct(v, 1) },
+  { key: 'top5', label: 'Top-5 share', fmt: (v) => fmtPct(v, 1) },
+  { key: 'gini', label: 'Gini', fmt: (v) => (v == null ? '—' : v.toFixed(3)) }
+];
+// `scope` labels a history that covers fewer members than the current values;
+// `scoped` holds the current values on the history's basis so the two can be compared
+const CONC_PANELS = {
+  ov: { metric: 'hhi', current: null, scoped: null, history: [], chart: null, scope: `top-${CONC_ISSUERS} issuers` },
+  hist: { metric: 'hhi', current: null, scoped: null, history: [], chart: null, scope: null }
+};
+// The issuer history needs one full stablecoin/{id} history per tracked coin
+// (USDT's alone is several MB), so it only loads once the panel is in view
+let CONC_HISTORY_WANTED = false;
+let CONC_HISTORY_LOAD = 0; // latest history load; older ones drop their result
+
+function concentrationOf(values, total) {
+  const sizes = values.filter(v => v > 0).sort((a, b) => b - a);
+  const sum = sizes.reduce((s, v) => s + v, 0);
+  const base = total > 0 ? Math.max(total, sum) : sum;
+  if (!(base > 0)) return null;
+  const pct = sizes.map(v => v / base * 100);
+  const topShare = (n) => pct.slice(0, n).reduce((s, v) => s + v, 0);
+  // Gini over the tracked sizes, ascending: (2 Σ i·x_i) / (n Σ x) − (n + 1) / n
+  const n = sizes.length;
+  const asc = [...sizes].reverse();
+  const gini = n > 1 ? (2 * asc.reduce((s, v, i) => s + (i + 1) * v, 0)) / (n * sum) - (n + 1) / n : 0;
+  return {
+    hhi: pct.reduce((s, v) => s + v * v, 0),
+    top3: topShare(3),
+    top5: topShare(5),
+    gini,
+    n
+  };
+}
+
+// US DOJ/FTC bands for the HHI
+function hhiBand(hhi) {
+  if (hhi == null) return '';
+  if (hhi > 2500) return 'Highly concentrated';
+  if (hhi >= 1500) return 'Moderately concentrated';
+  return 'Unconcentrated';
+}
+
+// Forward-fill sorted [{ x, y }] onto the given dates
+function alignPoints(points, dates) {
+  const out = [];
+  let idx = 0;
+  let last = 0;
+  for (const t of dates) {
+    while (idx < points.length && points[idx].x <= t) last = points[idx++].y;
+    out.push(last);
+  }
+  return out;
+}
+
+function renderConcentration(key) {
+  const panel = CONC_PANELS[key];
+  const statsEl = document.getElementById(`${key}ConcStats`);
+  if (!statsEl) return;
+  const cur = panel.current;
+  statsEl.innerHTML = CONC_METRICS.map(m => `
+    <div class="conc-stat${m.key === panel.metric ? ' active' : ''}" data-metric="${m.key}">
+      <div class="kpi-label">${m.label}</div>
+      <div class="conc-value">${cur ? m.fmt(cur[m.key]) : '—'}</div>
+      ${m.key === 'hhi' ? `<div class="muted small">${cur ? hhiBand(cur.hhi) : ''}</div>` : ''}
+      ${panel.scope && panel.scoped ? `<div class="muted small">${panel.scope}: ${m.fmt(panel.scoped[m.key])}</div>` : ''}
+    </div>
+  `).join('');
+  const scopeEl = document.getElementById(`${key}ConcScope`);
+  if (scopeEl) scopeEl.textContent = `Chart: ${CONC_METRICS.find(m => m.key === panel.metric).label}, ${panel.scope} against total market cap`;
+  renderConcentrationChart(key);
+}
+
+function renderConcentrationChart(key) {
+  const panel = CONC_PANELS[key];
+  const canvas = document.getElementById(`${key}ConcChart`);
+  if (!canvas || !window.Chart) return;
+  const metric = CONC_METRICS.find(m => m.key === panel.metric);
+  const data = panel.history.map(p => ({ x: p.x, y: p[metric.key] }));
+  if (!panel.chart) {
+    panel.chart = new Chart(canvas, {
+      type: 'line',
+      data: { datasets: [] },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 0 },
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+          legend: { display: false },
+          tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${CONC_METRICS.find(m => m.key === panel.metric).fmt(ctx.parsed.y)}` } }
+        },
+        scales: {
+          x: { type: 'time', grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)' } },
+          y: { grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)', callback: (v) => metric.fmt(v) } }
+        }
+      }
+    });
+  }
+  panel.chart.data = {
+    datasets: [{ label: panel.scope ? `${metric.label} (${panel.scope})` : metric.label, data, borderColor: '#f59e0b', backgroundColor: 'rgba(245, 158, 11, 0.1)', fill: true, pointRadius: 0, borderWidth: 2, tension: 0.2 }]
+  };
+  panel.chart.options.scales.y.ticks.callback = (v) => metric.fmt(v);
+  if (data.length > 1) panel.chart.options.scales.x.time = { unit: timeUnitFor(data[data.length - 1].x - data[0].x) };
+  panel.chart.update();
+}
+
+function setupConcentrationControls() {
+  Object.keys(CONC_PANELS).forEach(key => {
+    const statsEl = document.getElementById(`${key}ConcStats`);
+    if (!statsEl || statsEl.hasEventListener) return;
+    statsEl.addEventListener('click', (e) => {
+      const stat = e.target.closest('[data-metric]');
+      if (!stat) return;
+      CONC_PANELS[key].metric = stat.dataset.metric;
+      renderConcentration(key);
+    });
+    statsEl.hasEventListener = true;
+  });
+}
+
+// Issuers across the market: current values over every coin in the snapshot,
+// plus the largest CONC_ISSUERS against the snapshot total, the basis the
+// history (once wanted) is built on
+function loadIssuerConcentration() {
+  const panel = CONC_PANELS.ov;
+  const sizes = SC_SNAPSHOT.map(c => c.mcap).filter(v => v > 0).sort((a, b) => b - a);
+  panel.current = concentrationOf(sizes);
+  panel.scoped = concentrationOf(sizes.slice(0, CONC_ISSUERS), sizes.reduce((s, v) => s + v, 0));
+  renderConcentration('ov');
+  if (CONC_HISTORY_WANTED) loadIssuerConcentrationHistory();
+}
+
+// Start the history load when the panel first scrolls into view
+function watchIssuerConcentration() {
+  whenVisible(document.getElementById('ovConcChart')?.closest('.conc-card'), () => {
+    CONC_HISTORY_WANTED = true;
+    loadIssuerConcentrationHistory();
+  });
+}
+
+// Largest issuers' own histories measured against the total market cap
+async function loadIssuerConcentrationHistory() {
+  const panel = CONC_PANELS.ov;
+  const token = ++CONC_HISTORY_LOAD;
+  const tracked = SC_SNAPSHOT.filter(c => c.mcap > 0).sort((a, b) => b.mcap - a.mcap).slice(0, CONC_ISSUERS);
+  let history = [];
+  try {
+    const [totalRes, ...assetRes] = await Promise.all([
+      DATA.getTotalHistory(),
+      ...tracked.map(c => DATA.getAssetHistory(c.id, c.fxRate))
+    ]);
+    if (token !== CONC_HISTORY_LOAD) return;
+    stampUpdated('ovConc', totalRes, ...assetRes);
+    const dates = totalRes.data.map(p => p.x);
+    const perCoin = assetRes.map(res => {
+      const { allDates, chainToUnified } = histBuildTimeIndex(res.data.chainSeries);
+      return alignPoints(histBuildTotalSeries(chainToUnified, allDates), dates);
+    });
+    history = dates.map((x, i) => ({
+      x,
+      ...concentrationOf(perCoin.map(series => series[i]), totalRes.data[i].y)
+    })).filter(p => p.hhi != null);
+  } catch (e) {
+    if (token !== CONC_HISTORY_LOAD) return;
+    console.warn('Failed to build issuer concentration history:', e);
+  }
+  panel.history = history;
+  renderConcentration('ov');
+}
+
+// Column definitions for the Top Stablecoins table
+const SC_COLUMNS = [
+  { key: 'symbol', label: 'Stablecoin' },
+  { key: 'mcap', label: 'Market Cap' },
+  { key: 'pegAbsBps', label: 'Price / Peg' },
+  { key: 'dayChange', label: '1d' },
+  { key: 'weekChange', label: '7d' },
+  { key: 'monthChange', label: '30d' },
+  { key: 'pegType', label: 'Peg' },
+  { key: 'pegMechanism', label: 'Mechanism' },
+  { key: 'priceSource', label: 'Price Source' },
+  { key: 'chainCount', label: 'Top Chains' }
+];
+const SC_TEXT_KEYS = ['symbol', 'pegType', 'pegMechanism', 'priceSource'];
+const listState = { sortKey: 'mcap', sortDir: 'desc', pegType: 'all', pegMechanism: 'all', search: '' };
+let SC_VISIBLE_ROWS = []; // rows currently rendered, in display order (for export)
+
+const pegTypeLabel = (t) => String(t || '—').replace(/^pegged/, '');
+
+// "1 EUR = $1.1700"; floating pegs are priced per token, so name the coin instead
+function fxRateLabel(coin) {
+  const unit = FLOATING_PEGS.has(coin.pegCurrency) ? coin.symbol : coin.pegCurrency;
+  return `1 ${unit} = ${fmtPrice(coin.fxRate)}`;
+}
+
+// USD amount, plus the peg-currency amount underneath for non-USD coins
+function nativeAmountHTML(coin, usd, native) {
+  if (!coin.pegCurrency || coin.pegCurrency === 'USD') return formatUSD(usd);
+  const title = coin.fxRate ? fxRateLabel(coin) : 'No FX rate available';
+  return `${coin.fxRate ? formatUSD(usd) : '<span class="muted">—</span>'}<div class="muted small" title="${title}">${formatNative(native, coin.pegCurrency)}</div>`;
+}
+
+// Build base rows from live data
+function buildStablecoinRows() {
+  return SC_SNAPSHOT.map(c => {
+    const { mcap, symbol, name, prevDay, prevWeek, prevMonth } = c;
+    
+    // Chains sorted by supply
+    const chains = Object.entries(c.chainSupply).map(([chainName, v]) => ({
+      name: chainName,
+      amount: v.current
+    })).filter(chain => chain.amount > 0)
+      .sort((a, b) => b.amount - a.amount);
+    
+    // Calculate market cap changes (null when there is no prior value)
+    
+    const dayChange = prevDay > 0 ? ((mcap - prevDay) / prevDay * 100) : null;
+    const weekChange = prevWeek > 0 ? ((mcap - prevWeek) / prevWeek * 100) : null;
+    const monthChange = prevMonth > 0 ? ((mcap - prevMonth) / prevMonth * 100) : null;
+
+    // Peg health from live price
+    const peg = pegInfoFor(c);
+    
+    return { 
+      symbol, 
+      name, 
+      mcap, 
+      chains, 
+      chainCount: chains.length,
+      id: c.id, 
+      coinObj: c,
+      pegType: c.pegType,
+      priceSource: c.priceSource,
+      pegMechanism: c.pegMechanism,
+      geckoId: c.geckoId,
+      dayChange,
+      weekChange,
+      monthChange,
+      prevDay,
+      prevWeek,
+      prevMonth,
+      price: peg.price,
+      pegDeviationBps: peg.deviationBps,
+      pegAbsBps: peg.deviationBps == null ? null : Math.abs(peg.deviationBps),
+      pegStatus: peg.status
+    };
+  }).filter(r => r.mcap > 0 || r.coinObj.native?.mcap > 0); // Only show stablecoins with supply (non-USD without an FX rate sort last)
+}
+
+function filterStablecoinRows(rows) {
+  const { pegType, pegMechanism, search } = listState;
+  return rows.filter(r =>
+    (pegType === 'all' || r.pegType === pegType) &&
+    (pegMechanism === 'all' || r.pegMechanism === pegMechanism) &&
+    (!search || r.symbol.toLowerCase().includes(search) || r.name.toLowerCase().includes(search))
+  );
+}
+
+// Filter/search controls in the card header; options come from the snapshot
+function setupStablecoinListControls() {
+  const searchEl = document.getElementById('scSearch');
+  const pegTypeEl = document.getElementById('scPegType');
+  const mechEl = document.getElementById('scPegMechanism');
+  const uniq = (key) => [...new Set(SC_SNAPSHOT.map(c => c[key]).filter(v => v && v !== '—'))].sort();
+
+  if (pegTypeEl && !pegTypeEl.hasEventListener) {
+    pegTypeEl.innerHTML = '<option value="all">All currencies</option>' +
+      uniq('pegType').map(t => `<option value="${t}">${pegTypeLabel(t)} · ${pegCurrencyName(pegCurrencyOf(t))}</option>`).join('');
+    pegTypeEl.value = listState.pegType;
+    pegTypeEl.addEventListener('change', () => { listState.pegType = pegTypeEl.value; rebuildStablecoinList(true); syncRoute(); });
+    pegTypeEl.hasEventListener = true;
+  }
+  if (mechEl && !mechEl.hasEventListener) {
+    mechEl.innerHTML = '<option value="all">All mechanisms</option>' +
+      uniq('pegMechanism').map(m => `<option value="${m}">${m}</option>`).join('');
+    mechEl.value = listState.pegMechanism;
+    mechEl.addEventListener('change', () => { listState.pegMechanism = mechEl.value; rebuildStablecoinList(true); syncRoute(); });
+    mechEl.hasEventListener = true;
+  }
+  if (searchEl && !searchEl.hasEventListener) {
+    searchEl.value = listState.search;
+    searchEl.addEventListener('input', debounce(() => {
+      listState.search = searchEl.value.toLowerCase().trim();
+      rebuildStablecoinList(true);
+      syncRoute();
+    }, 250));
+    searchEl.hasEventListener = true;
+  }
+}
+
+// Reflect listState in the controls (used when state comes from the URL)
+function syncStablecoinListControls() {
+  const searchEl = document.getElementById('scSearch');
+  const pegTypeEl = document.getElementById('scPegType');
+  const mechEl = document.getElementById('scPegMechanism');
+  if (searchEl) searchEl.value = listState.search;
+  if (pegTypeEl && pegTypeEl.options.length) pegTypeEl.value = listState.pegType;
+  if (mechEl && mechEl.options.length) mechEl.value = listState.pegMechanism;
+}
+
+// Build the Top Stablecoins list, paginated in the chosen sort order
+async function rebuildStablecoinList(reset) {
+  const listEl = document.getElementById('stablecoinList');
+  const loadBtn = document.getElementById('loadMore');
+  if (reset || !listEl.querySelector('.row.header')) {
+    listEl.innerHTML = `<div class="row header">${sortableHeaderHTML(SC_COLUMNS, listState.sortKey, listState.sortDir)}</div>`;
+    bindSortableHeader(listEl, listState, SC_TEXT_KEYS, () => { rebuildStablecoinList(true); syncRoute(); });
+    listCursor = 0;
+  }
+
+  const filteredRows = pinWatched(filterStablecoinRows(buildStablecoinRows())
+    .sort(compareBy(listState.sortKey, listState.sortDir)));
+
+  const slice = filteredRows.slice(listCursor, listCursor + PAGE_SIZE);
+  SC_VISIBLE_ROWS = filteredRows.slice(0, listCursor + slice.length);
+  
+  if (slice.length === 0) {
+    const noDataRow = document.createElement('div');
+    noDataRow.className = 'row';
+    noDataRow.innerHTML = '<div class="muted">No stablecoins found</div>';
+    listEl.appendChild(noDataRow);
+    loadBtn.disabled = true;
+    loadBtn.textContent = 'No data';
+    return;
+  }
+
+  slice.forEach(r => {
+    const row = document.createElement('div');
+    row.className = 'row' + (isWatched(r.id) ? ' watched' : '');
+    
+    // Build top chain labels from live data
+    const chainBadges = r.chains.slice(0, 3).map(ch => 
+      `<span class="badge" title="${ch.name}: ${formatUSD(ch.amount)}">${ch.name}</span>`
+    ).join(' ') + (r.chains.length > 3 ? ` <span class="badge clickable">+${r.chains.length - 3}</span>` : '');
 
     row.innerHTML = `
-      <div><strong>${r.symbol}</strong> &nbsp;&nbsp; <span class="muted small">${r.name}</span></div>
-      <div>${formatUSD(r.mcap)}</div>
+      <div>${starHTML(r.id)}<strong>${r.symbol}</strong> &nbsp;&nbsp; <span class="muted small">${r.name}</span></div>
+      <div>${nativeAmountHTML(r.coinObj, r.mcap, r.coinObj.native?.mcap)}</div>
+      <div>${pegCellHTML(r)}</div>
+      <div>${fmtChange(r.dayChange)}</div>
+      <div>${fmtChange(r.weekChange)}</div>
+      <div>${fmtChange(r.monthChange)}</div>
+      <div class="small">${pegTypeLabel(r.pegType)}</div>
+      <div class="small">${r.pegMechanism}</div>
+      <div class="small muted">${r.priceSource}</div>
       <div>${chainBadges || '<span class="muted small">—</span>'}</div>
     `;
+    row.addEventListener('click', () => openCoinDrawer(r.id));
     listEl.appendChild(row);
   });
 
@@ -620,14 +2353,147 @@ async function rebuildStablecoinList(reset) {
   }
 }
 
+// -----------------------------
+// Peg monitor: live prices & deviation from peg
+// -----------------------------
+const DEPEG_BAND_OPTIONS = [10, 25, 50, 100, 200]; // basis points
+const DEPEG_BAND_DEFAULT_BPS = 50;
+const DEPEG_MIN_MCAP = 10_000_000; // ignore dust coins in the "Depegged now" KPI
+const DEPEG_BAND_STORAGE_KEY = 'depegBandBps';
+const PRICE_BATCH_SIZE = 50;
+
+function getDepegBandBps() {
+  try {
+    const v = Number(localStorage.getItem(DEPEG_BAND_STORAGE_KEY));
+    return v > 0 ? v : DEPEG_BAND_DEFAULT_BPS;
+  } catch { return DEPEG_BAND_DEFAULT_BPS; }
+}
+
+function setDepegBandBps(bps) {
+  try { localStorage.setItem(DEPEG_BAND_STORAGE_KEY, String(bps)); } catch { /* ignore */ }
+}
+
+// Fetch current prices for every coin with a CoinGecko id, in batches.
+// fetchedAt is the oldest batch time (null when every batch failed); source is
+// 'stale' when any batch was served from last-known-good data.
+async function fetchPegPrices(list) {
+  const prices = new Map();
+  const ids = [...new Set(list.map(c => c.geckoId).filter(Boolean))];
+  const batches = [];
+  for (let i = 0; i < ids.length; i += PRICE_BATCH_SIZE) batches.push(ids.slice(i, i + PRICE_BATCH_SIZE));
+
+  const byGecko = new Map();
+  let fetchedAt = null;
+  let source = null;
+  await Promise.all(batches.map(async (batch) => {
+    try {
+      const res = await DATA.getPrices(batch);
+      res.data.forEach((price, id) => byGecko.set(id, price));
+      fetchedAt = fetchedAt == null ? res.fetchedAt : Math.min(fetchedAt, res.fetchedAt);
+      if (source !== 'stale') source = res.source;
+    } catch (e) {
+      console.warn('Price batch failed, using snapshot prices:', e);
+    }
+  }));
+
+  for (const c of list) {
+    if (c.geckoId && byGecko.has(c.geckoId)) {
+      prices.set(c.id, { price: byGecko.get(c.geckoId), source: 'coins' });
+    } else if (c.price != null) {
+      prices.set(c.id, { price: c.price, source: 'snapshot' });
+    }
+  }
+  return { prices, fetchedAt, source };
+}
+
+// Peg target in USD: 1 for USD pegs, the fiat FX rate for other currencies,
+// none for floating pegs (their fxRate is the coin's own price)
+function pegTargetUSD(c) {
+  if (c.pegCurrency === 'USD') return 1;
+  if (FLOATING_PEGS.has(c.pegCurrency)) return null;
+  return c.fxRate > 0 ? c.fxRate : null;
+}
+
+function pegStatusFor(bps, band = getDepegBandBps()) {
+  if (bps == null) return 'unknown';
+  const abs = Math.abs(bps);
+  if (abs > band) return 'offpeg';
+  if (abs > band / 2) return 'slight';
+  return 'onpeg';
+}
+
+function pegInfoFor(c) {
+  const entry = SC_PRICES.get(c.id);
+  const price = entry ? entry.price : null;
+  const target = pegTargetUSD(c);
+  const deviationBps = (price != null && target) ? (price - target) / target * 10_000 : null;
+  return { price, deviationBps, status: pegStatusFor(deviationBps) };
+}
+
+const fmtBps = (bps) => (bps == null || isNaN(bps) ? '—' : `${bps > 0 ? '+' : ''}${Math.round(bps)} bps`);
+const fmtPrice = (p) => (p == null || isNaN(p) ? '—' : `$${p.toFixed(p >= 10 ? 2 : 4)}`);
+
+function pegCellHTML(r) {
+  if (r.price == null) return '<span class="muted small">—</span>';
+  if (r.pegDeviationBps == null) return `<span class="peg-price">${fmtPrice(r.price)}</span>`;
+  return `
+    <span class="peg-price">${fmtPrice(r.price)}</span>
+    <span class="badge ${r.pegStatus}" title="Deviation from peg">${fmtBps(r.pegDeviationBps)}</span>
+  `;
+}
+
+function renderDepegKPI(list) {
+  const valueEl = document.getElementById('kpiDepegged');
+  const subEl = document.getElementById('kpiDepeggedList');
+  if (!valueEl) return;
+  const band = getDepegBandBps();
+  const depegged = list.map(c => ({ symbol: c.symbol, mcap: c.mcap, ...pegInfoFor(c) })).filter(r => r.mcap >= DEPEG_MIN_MCAP && r.deviationBps != null && Math.abs(r.deviationBps) > band)
+    .sort((a, b) => Math.abs(b.deviationBps) - Math.abs(a.deviationBps));
+
+  valueEl.textContent = SC_PRICES.size ? String(depegged.length) : '—';
+  valueEl.classList.toggle('kpi-alert', depegged.length > 0);
+  if (subEl) {
+    subEl.textContent = depegged.length
+      ? depegged.slice(0, 3).map(r => `${r.symbol} ${fmtBps(r.deviationBps)}`).join(', ') + (depegged.length > 3 ? '…' : '')
+      : `All within ±${band} bps`;
+  }
+}
+
+function setupDepegBandControl() {
+  const select = document.getElementById('depegBand');
+  if (!select || select.hasEventListener) return;
+  const current = getDepegBandBps();
+  select.innerHTML = DEPEG_BAND_OPTIONS.map(bps =>
+    `<option value="${bps}" ${bps === current ? 'selected' : ''}>±${bps} bps</option>`
+  ).join('');
+  select.addEventListener('change', () => {
+    setDepegBandBps(Number(select.value));
+    renderDepegKPI(SC_SNAPSHOT);
+    rebuildStablecoinList(true);
+  });
+  select.hasEventListener = true;
+}
+
 // ===============================
 // PLASMA ECOSYSTEM FUNCTIONALITY
 // ===============================
 
 let ecosystemData = [];
 let filteredData = [];
-let currentCategory = 'all';
+let currentCategories = []; // selected filter chips; empty shows every category
+let currentMatch = 'or'; // 'or': partner has any selected category, 'and': all of them
 let currentSearch = '';
+let currentSort = 'featured';
+let currentLayout = 'grid'; // 'grid' cards or compact 'list' rows
+const PLASMA_SORTS = [
+  { key: 'featured', label: 'Featured' }, // registry order
+  { key: 'name', label: 'A–Z' },
+  { key: 'category', label: 'Category' },
+  { key: 'added', label: 'Recently added' }
+];
+let PARTNER_PROTOCOLS = new Map(); // DefiLlama slug -> Protocol, for partners that have one
+let plasmaReady = false;
+let plasmaMetricsPromise = null; // first metrics load, shared by re-entries while it runs
 
 // Exclude these auto-added yield projects from Plasma ecosystem
 const PLASMA_EXCLUDE = new Set([
@@ -645,52 +2511,143 @@ function initPlasma() {
     loadEcosystemData();
   }
   setupPlasmaEventListeners();
+  return ensurePlasmaMetrics();
+}
+
+// Loads the Plasma metrics once; a failed first load is retried on the next visit
+function ensurePlasmaMetrics() {
+  if (plasmaMetricsPromise) return plasmaMetricsPromise;
+  plasmaMetricsPromise = loadPlasmaMetrics()
+    .then(() => { plasmaReady = true; })
+    .catch((e) => {
+      plasmaMetricsPromise = null;
+      console.warn('Failed to render Plasma metrics:', e);
+    });
+  return plasmaMetricsPromise;
 }
 
+async function refreshPlasma() {
+  await loadPlasmaMetrics();
+  await loadPartnerMetrics();
+}
+
+// -----------------------------
+// Plasma: chain stablecoin metrics
+// -----------------------------
+const PLASMA_CHAIN = 'Plasma';
+const PLASMA_TOP_COINS = 8;
+let PLASMA_ROW = null; // buildChainRows() row for Plasma
+let PLASMA_SUPPLY_CHART = null;
+
+// Supply, growth and coin split from the snapshot's per-chain amounts; history from the chain chart
+async function loadPlasmaMetrics() {
+  let coins = null, history = null;
+  try {
+    coins = await DATA.getStablecoins();
+    PLASMA_ROW = buildChainRows(coins.data).find(r => r.name === PLASMA_CHAIN) || null;
+  } catch (e) {
+    console.warn('Failed to load Plasma stablecoin metrics:', e);
+  }
+  try {
+    history = await DATA.getChainHistory(PLASMA_CHAIN);
+  } catch (e) {
+    console.warn('Plasma supply history unavailable:', e);
+  }
+  stampUpdated('plasmaSupply', coins, history);
+  renderPlasmaMetrics();
+  renderPlasmaSupplyChart(history ? history.data : []);
+}
+
+function renderPlasmaMetrics() {
+  const row = PLASMA_ROW;
+  const set = (id, html) => {
+    const el = document.getElementById(id);
+    if (el) el.innerHTML = html;
+  };
+  const signedUSD = (v) => (v == null ? '' : `${v >= 0 ? '+' : '−'}${formatUSD(Math.abs(v))}`);
+  set('plasmaSupply', row ? formatUSD(row.supply) : '—');
+  set('plasmaSupplySub', row ? `${row.coins.length} stablecoin${row.coins.length === 1 ? '' : 's'} · ${row.dominant} ${fmtPct(row.dominantShare, 0)}` : 'No stablecoin supply reported yet');
+  set('plasmaGrowth7d', row ? fmtChange(row.weekChange) : '—');
+  set('plasmaGrowth7dSub', row ? signedUSD(row.weekDelta) : '');
+  set('plasmaGrowth30d', row ? fmtChange(row.monthChange) : '—');
+  set('plasmaGrowth30dSub', row ? signedUSD(row.monthDelta) : '');
+  set('plasmaCoinSplit', row && row.coins.length
+    ? compositionHTML(row.coins, PLASMA_TOP_COINS)
+    : '<div class="muted small">No stablecoins on Plasma yet.</div>');
+  renderPlasmaPartnerKPI();
+}
+
+// Partner count, plus how many of the partners tracked on DefiLlama are live on Plasma
+function renderPlasmaPartnerKPI() {
+  const valueEl = document.getElementById('plasmaPartnersKpi');
+  const subEl = document.getElementById('plasmaPartnersSub');
+  if (valueEl) valueEl.textContent = ecosystemData.length ? String(ecosystemData.length) : '—';
+  if (!subEl) return;
+  const tracked = [...PARTNER_PROTOCOLS.values()];
+  const live = tracked.filter(p => (p.chainTvls[PLASMA_CHAIN] || 0) > 0 || p.chains.includes(PLASMA_CHAIN));
+  subEl.textContent = tracked.length ? `${live.length} of ${tracked.length} tracked protocols live on Plasma` : '';
+}
+
+function renderPlasmaSupplyChart(series) {
+  const canvas = document.getElementById('plasmaSupplyChart');
+  const statusEl = document.getElementById('plasmaSupplyStatus');
+  if (statusEl) statusEl.textContent = series.length ? '' : 'No supply history available.';
+  if (!window.Chart || !canvas) return;
+  if (!PLASMA_SUPPLY_CHART) {
+    PLASMA_SUPPLY_CHART = new Chart(canvas, {
+      type: 'line',
+      data: { datasets: [] },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: { legend: { display: false }, tooltip: { callbacks: { label: (ctx) => formatUSD(ctx.parsed.y) } } },
+        scales: {
+          x: { type: 'time', time: { unit: 'week' }, grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)' } },
+          y: { grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)', callback: (v) => formatUSD(v) } }
+        }
+      }
+    });
+  }
+  const span = series.length ? series[series.length - 1].x - series[0].x : 0;
+  PLASMA_SUPPLY_CHART.options.scales.x.time.unit = timeUnitFor(span);
+  PLASMA_SUPPLY_CHART.data = {
+    datasets: [{
+      label: `${PLASMA_CHAIN} stablecoin supply`,
+      data: series,
+      borderColor: '#4ade80',
+      backgroundColor: 'rgba(74, 222, 128, 0.1)',
+      fill: true,
+      tension: 0.2,
+      pointRadius: 0,
+      borderWidth: 2
+    }]
+  };
+  PLASMA_SUPPLY_CHART.update();
+}
+
+// Partner registry; validated offline by scripts/validate-partners.js
+const PARTNERS_URL = 'data/partners.json';
+
 // Load ecosystem data
 async function loadEcosystemData() {
   try {
-    // Try to load from ecosystem-data.js file
-    if (typeof window.ecosystemPartners !== 'undefined') {
-      ecosystemData = window.ecosystemPartners;
-      
-    } else {
-      console.warn('Ecosystem data not found, using fallback data');
-      // Fallback data if file not found
-      ecosystemData = [
-        {
-          name: "USD₮0",
-          logo: "logos/usdt0.svg",
-          url: "https://usdt0.com",
-          categories: ["stablecoins"],
-          description: "Next-generation stablecoin with enhanced stability mechanisms"
-        },
-        {
-          name: "Ethena",
-          logo: "logos/ethena.svg", 
-          url: "https://ethena.fi",
-          categories: ["yield", "stablecoins"],
-          description: "Synthetic dollar protocol built on Ethereum"
-        },
-        {
-          name: "Curve Finance",
-          logo: "logos/curve.svg",
-          url: "https://curve.fi",
-          categories: ["dex"],
-          description: "Decentralized exchange optimized for stablecoin trading"
-        }
-      ];
-    }
+    const res = await fetch(PARTNERS_URL);
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${PARTNERS_URL}`);
+    ecosystemData = (await res.json()).partners || [];
     
     // Remove excluded auto-added yield projects
     ecosystemData = (ecosystemData || []).filter(p => !PLASMA_EXCLUDE.has(String(p.name || '').toLowerCase()));
-    filteredData = [...ecosystemData];
     // Update dynamic partner count
     const countEl = document.getElementById('plasmaPartnerCount');
     if (countEl) {
       countEl.textContent = String(ecosystemData.length);
     }
-    renderPartners();
+    renderPlasmaPartnerKPI();
+    // Honour any category/search restored from the URL
+    syncPlasmaControls();
+    applyFilters();
+    loadPartnerMetrics();
     
   } catch (error) {
     console.error('Error loading ecosystem data:', error);
@@ -699,6 +2656,37 @@ async function loadEcosystemData() {
   }
 }
 
+// TVL and deployments for partners with a `defillama` slug, one small request
+// per slug; cards stay static without them or when their request fails
+async function loadPartnerMetrics() {
+  const slugs = [...new Set(ecosystemData.map(p => p.defillama).filter(Boolean))];
+  if (!slugs.length) return;
+  const results = await Promise.allSettled(slugs.map(slug => DATA.getProtocol(slug)));
+  const loaded = [];
+  results.forEach((r, i) => {
+    if (r.status === 'fulfilled') loaded.push(r.value);
+    else console.warn(`Failed to load protocol metrics for ${slugs[i]}:`, r.reason);
+  });
+  if (!loaded.length) return;
+  PARTNER_PROTOCOLS = new Map(loaded.map(res => [res.data.slug, res.data]));
+  stampUpdated('plasmaPartners', ...loaded);
+  renderPartners();
+  renderPlasmaPartnerKPI();
+}
+
+function partnerMetricsHTML(partner) {
+  const p = partner.defillama && PARTNER_PROTOCOLS.get(partner.defillama);
+  if (!p) return '';
+  const plasmaTvl = p.chainTvls.Plasma || 0;
+  const live = plasmaTvl > 0 || p.chains.includes('Plasma');
+  return `
+        <div class="partner-metrics">
+          <div><span class="muted">TVL</span> ${formatUSD(p.tvl)} ${fmtChange(p.change7d)} <span class="muted">7d</span></div>
+          <div class="muted" title="${p.chains.join(', ')}">${p.chains.length} chain${p.chains.length === 1 ? '' : 's'}</div>
+          <span class="plasma-status ${live ? 'live' : 'pending'}">${live ? `Live on Plasma${plasmaTvl > 0 ? ` · ${formatUSD(plasmaTvl)}` : ''}` : 'Not on Plasma yet'}</span>
+        </div>`;
+}
+
 // Setup event listeners
 function setupPlasmaEventListeners() {
   // Search functionality
@@ -723,274 +2711,1323 @@ function setupPlasmaEventListeners() {
     });
   }
   
-  // Filter buttons
-  const filterButtons = document.querySelectorAll('.filter-btn');
-  filterButtons.forEach(btn => {
-    if (!btn.hasEventListener) {
-      btn.addEventListener('click', () => handleFilter(btn.dataset.category));
-      btn.hasEventListener = true;
+  // Filter chips are re-rendered with every search, so listen on the container
+  const filters = document.getElementById('plasmaFilters');
+  if (filters && !filters.hasEventListener) {
+    filters.addEventListener('click', (e) => {
+      const btn = e.target.closest('.filter-btn');
+      if (btn) handleFilter(btn.dataset.category);
+    });
+    filters.hasEventListener = true;
+  }
+
+  document.querySelectorAll('#plasmaMatch [data-match]').forEach(btn => {
+    if (btn.hasEventListener) return;
+    btn.addEventListener('click', () => {
+      currentMatch = btn.dataset.match;
+      syncPlasmaControls();
+      applyFilters();
+      syncRoute();
+    });
+    btn.hasEventListener = true;
+  });
+
+  const sortSelect = document.getElementById('plasmaSort');
+  if (sortSelect && !sortSelect.hasEventListener) {
+    sortSelect.innerHTML = PLASMA_SORTS.map(o => `<option value="${o.key}">${o.label}</option>`).join('');
+    sortSelect.value = currentSort;
+    sortSelect.addEventListener('change', () => {
+      currentSort = sortSelect.value;
+      applyFilters();
+      syncRoute();
+    });
+    sortSelect.hasEventListener = true;
+  }
+
+  document.querySelectorAll('#plasmaLayout [data-layout]').forEach(btn => {
+    if (btn.hasEventListener) return;
+    btn.addEventListener('click', () => {
+      currentLayout = btn.dataset.layout;
+      syncPlasmaControls();
+      renderPartners();
+      syncRoute();
+    });
+    btn.hasEventListener = true;
+  });
+}
+
+// Handle search
+function handleSearch() {
+  const searchInput = document.getElementById('plasmaSearch');
+  currentSearch = searchInput.value.toLowerCase().trim();
+  applyFilters();
+  syncRoute();
+}
+
+// Handle filter: chips toggle in and out of the selection, "all" clears it
+function handleFilter(category) {
+  if (category === 'all') {
+    currentCategories = [];
+  } else if (currentCategories.includes(category)) {
+    currentCategories = currentCategories.filter(c => c !== category);
+  } else {
+    currentCategories = [...currentCategories, category];
+  }
+  applyFilters();
+  syncRoute({ push: true });
+}
+
+// Reflect the Plasma filter state in the controls (used when state comes from the URL)
+function syncPlasmaControls() {
+  const searchInput = document.getElementById('plasmaSearch');
+  if (searchInput) searchInput.value = currentSearch;
+  document.querySelectorAll('#plasmaFilters .filter-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.category === 'all'
+      ? !currentCategories.length
+      : currentCategories.includes(btn.dataset.category));
+  });
+  document.querySelectorAll('#plasmaMatch [data-match]').forEach(btn => btn.classList.toggle('active', btn.dataset.match === currentMatch));
+  const sortSelect = document.getElementById('plasmaSort');
+  if (sortSelect) sortSelect.value = currentSort;
+  document.querySelectorAll('#plasmaLayout [data-layout]').forEach(btn => btn.classList.toggle('active', btn.dataset.layout === currentLayout));
+}
+
+function partnerMatchesSearch(partner) {
+  return !currentSearch ||
+    partner.name.toLowerCase().includes(currentSearch) ||
+    partner.description.toLowerCase().includes(currentSearch) ||
+    partner.categories.some(cat => cat.toLowerCase().includes(currentSearch));
+}
+
+// Chip labels for registry category keys; others are capitalised as they are
+const PLASMA_CATEGORY_LABELS = {
+  all: 'All',
+  dex: 'DEX',
+  rwa: 'RWA'
+};
+const categoryLabel = (cat) => PLASMA_CATEGORY_LABELS[cat] || cat.charAt(0).toUpperCase() + cat.slice(1);
+
+// Chips for the categories present in the data, largest first, counted within the current search
+function renderCategoryChips(searched) {
+  const container = document.getElementById('plasmaFilters');
+  if (!container) return;
+  const counts = new Map();
+  ecosystemData.forEach(p => p.categories.forEach(c => counts.set(c, 0)));
+  searched.forEach(p => p.categories.forEach(c => counts.set(c, counts.get(c) + 1)));
+  const chips = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  // A category from an old link that no longer exists would otherwise hide everything
+  currentCategories = currentCategories.filter(c => counts.has(c));
+  container.innerHTML = [['all', searched.length], ...chips].map(([cat, n]) => `
+    <button class="filter-btn" data-category="${cat}">${categoryLabel(cat)} <span class="chip-count">${n}</span></button>
+  `).join('');
+  syncPlasmaControls();
+}
+
+// Partner comparator per sort key. "added" puts the newest first; undated partners
+// follow in reverse registry order, since new entries are appended.
+function comparePartners(sort) {
+  const index = new Map(ecosystemData.map((p, i) => [p, i]));
+  const byIndex = (a, b) => index.get(a) - index.get(b);
+  if (sort === 'name') return (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+  if (sort === 'category') return (a, b) => a.categories[0].localeCompare(b.categories[0]) || a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+  if (sort === 'added') return (a, b) => (b.added || '').localeCompare(a.added || '') || -byIndex(a, b);
+  return byIndex;
+}
+
+// Apply filters, search and sort
+function applyFilters() {
+  const searched = ecosystemData.filter(partnerMatchesSearch);
+  renderCategoryChips(searched);
+  filteredData = searched.filter(partner => {
+    if (!currentCategories.length) return true;
+    return currentMatch === 'and'
+      ? currentCategories.every(c => partner.categories.includes(c))
+      : currentCategories.some(c => partner.categories.includes(c));
+  }).sort(comparePartners(currentSort));
+  
+  renderPartners();
+}
+
+// Render partners
+function renderPartners() {
+  const grid = document.getElementById('plasmaGrid');
+  const noResults = document.getElementById('plasmaNoResults');
+  
+  if (!grid || !noResults) return;
+  grid.classList.toggle('list', currentLayout === 'list');
+  
+  if (filteredData.length === 0) {
+    grid.style.display = 'none';
+    noResults.classList.remove('hidden');
+    return;
+  }
+  
+  grid.style.display = 'grid';
+  noResults.classList.add('hidden');
+  
+  grid.innerHTML = filteredData.map(partner => {
+    // Create a safe fallback SVG with proper encoding
+    const fallbackSvg = createFallbackSvg(partner.name);
+    
+    return `
+      <div class="partner-card" onclick="window.open('${partner.url}', '_blank')">
+        <div class="partner-logo">
+          <img src="${partner.logo || fallbackSvg}" alt="${partner.name}" onerror="this.src='${fallbackSvg}'">
+        </div>
+        <h3 class="partner-name">${partner.name}</h3>
+        <div class="partner-categories">
+          ${partner.categories.map(cat => 
+            `<span class="category-tag">${cat}</span>`
+          ).join('')}
+        </div>
+        <p class="partner-description">${partner.description}</p>${partnerMetricsHTML(partner)}
+      </div>
+    `;
+  }).join('');
+  
+  
+}
+
+function slugifyProjectName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
+
+async function fetchTopStablecoinYieldProjects(limit = 50) {
+  let pools;
+  try {
+    ({ data: pools } = await fetchStablecoinPools());
+  } catch {
+    return [];
+  }
+  return aggregatePoolsByProject(pools)
+    .map(({ project, tvl }) => ({ project, tvl }))
+    .slice(0, limit);
+}
+
+function augmentEcosystemWithTopYieldProjects(topProjects) {
+  const existing = new Set((ecosystemData || []).map(p => String(p.name || '').toLowerCase()));
+  for (const { project } of topProjects) {
+    const key = String(project || '').toLowerCase();
+    if (!key || existing.has(key)) continue;
+    const slug = slugifyProjectName(project);
+    ecosystemData.push({
+      name: project,
+      logo: `logos/${slug}.svg`,
+      url: 'https://defillama.com/yields/stablecoins',
+      categories: ['yield'],
+      description: `${project} appears among the top projects by stablecoin TVL (auto‑added).`
+    });
+    existing.add(key);
+  }
+}
+
+// Add this new function to create properly encoded fallback SVGs
+function createFallbackSvg(partnerName) {
+  // Get the first character and handle it safely
+  const firstChar = partnerName.charAt(0);
+  
+  // Create a simple, safe SVG fallback
+  const svgContent = `<svg xmlns="http://www.w3.org/2000/svg" width="60" height="60" viewBox="0 0 60 60"><rect width="60" height="60" fill="#4ade80" rx="10"/><text x="30" y="35" text-anchor="middle" fill="white" font-size="20" font-weight="bold" font-family="Arial, sans-serif">${firstChar}</text></svg>`;
+  
+  // Properly encode the SVG for use as a data URL using base64
+  return 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svgContent)));
+}
+
+// Clear all filters
+function clearPlasmaFilters() {
+  currentCategories = [];
+  currentSearch = '';
+  
+  const searchInput = document.getElementById('plasmaSearch');
+  if (searchInput) searchInput.value = '';
+  
+  applyFilters();
+  syncRoute();
+}
+
+// Make clearPlasmaFilters globally accessible
+window.clearPlasmaFilters = clearPlasmaFilters;
+
+// Run fn once, when el first comes near the viewport (at once without IntersectionObserver)
+function whenVisible(el, fn) {
+  if (!el || !('IntersectionObserver' in window)) {
+    fn();
+    return;
+  }
+  const observer = new IntersectionObserver((entries) => {
+    if (!entries.some(e => e.isIntersecting)) return;
+    observer.disconnect();
+    fn();
+  }, { rootMargin: '200px' });
+  observer.observe(el);
+}
+
+// Debounce utility
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    const later = () => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+}
+
+// -----------------------------
+// Export: CSV / JSON / PNG
+// -----------------------------
+// Each .export-menu[data-export] element gets a menu; EXPORTS[key] says what it can export.
+// rows() returns the data as currently shown (range, filters, paging) with raw numbers and ISO dates.
+const isoDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const EXPORTS = {
+  ovDonut: { filename: 'market-share', chart: () => window.donutChart },
+  ovTrend: {
+    filename: () => (OV_STACK.mode === 'share' ? 'market-share-by-stablecoin' : 'market-cap-by-stablecoin'),
+    chart: () => window.stackedChart,
+    valueSuffix: () => (OV_STACK.mode === 'share' ? ' (%)' : ' (USD)')
+  },
+  ovConc: { filename: 'issuer-concentration', chart: () => CONC_PANELS.ov.chart, rows: () => concentrationRows(CONC_PANELS.ov.history) },
+  histConc: { filename: () => `chain-concentration-${histExportSlug()}`, chart: () => CONC_PANELS.hist.chart, rows: () => concentrationRows(CONC_PANELS.hist.history) },
+  scList: {
+    filename: 'top-stablecoins',
+    rows: () => SC_VISIBLE_ROWS.map(r => ({
+      symbol: r.symbol,
+      name: r.name,
+      market_cap_usd: r.mcap,
+      peg_currency: r.coinObj.pegCurrency,
+      market_cap_native: r.coinObj.native?.mcap,
+      fx_rate_usd: r.coinObj.fxRate,
+      price_usd: r.price,
+      peg_deviation_bps: r.pegDeviationBps,
+      change_1d_pct: r.dayChange,
+      change_7d_pct: r.weekChange,
+      change_30d_pct: r.monthChange,
+      peg_type: r.pegType,
+      peg_mechanism: r.pegMechanism,
+      price_source: r.priceSource,
+      chains: r.chains.map(c => c.name).join(';')
+    }))
+  },
+  histMarket: {
+    filename: () => `historical-market-cap-${histExportSlug()}`,
+    chart: () => HIST_marketCapChart,
+    valueSuffix: () => (histCompare.enabled && histCompare.mode !== 'usd' ? ` (${histCompare.mode})` : ' (USD)')
+  },
+  histStacked: {
+    filename: () => `historical-chain-distribution-${histExportSlug()}`,
+    chart: () => HIST_stackedChart,
+    valueSuffix: () => ' (USD)'
+  },
+  histFlows: {
+    filename: () => `net-flows-${HIST_RANGE.resolution}-${histExportSlug()}`,
+    chart: () => HIST_flowBarChart,
+    rows: () => {
+      if (!HIST_flowData) return [];
+      const byX = new Map(HIST_flowData.total.map(p => [p.x, { date: isoDate(p.x), total_usd: p.y }]));
+      HIST_flowData.byChain.forEach(ds => ds.data.forEach(p => {
+        const row = byX.get(p.x);
+        if (row) row[`${ds.label} (USD)`] = p.y;
+      }));
+      return [...byX.values()];
+    }
+  },
+  chainsTable: {
+    filename: 'chains',
+    rows: () => [...CHAIN_ROWS].sort(compareBy(chainState.sortKey, chainState.sortDir)).map(r => ({
+      chain: r.name,
+      supply_usd: r.supply,
+      change_1d_pct: r.dayChange,
+      change_7d_pct: r.weekChange,
+      change_30d_pct: r.monthChange,
+      top_coin: r.dominant,
+      top_coin_share_pct: r.dominantShare
+    }))
+  },
+  chainHistory: {
+    filename: () => `chain-supply-${slugifyProjectName(chainState.selected || 'chain')}`,
+    chart: () => CHAIN_historyChart,
+    valueSuffix: () => ' (USD)'
+  },
+  chainComposition: {
+    filename: () => `chain-composition-${slugifyProjectName(chainState.selected || 'chain')}`,
+    rows: () => {
+      const row = CHAIN_ROWS.find(r => r.name === chainState.selected);
+      return row ? row.coins.map(c => ({ chain: row.name, symbol: c.symbol, name: c.name, amount_usd: c.amount })) : [];
+    }
+  },
+  plasmaSupply: {
+    filename: 'plasma-stablecoin-supply',
+    chart: () => PLASMA_SUPPLY_CHART,
+    valueSuffix: () => ' (USD)'
+  },
+  plasmaCoins: {
+    filename: 'plasma-supply-by-coin',
+    rows: () => (PLASMA_ROW ? PLASMA_ROW.coins.map(c => ({ chain: PLASMA_ROW.name, symbol: c.symbol, name: c.name, amount_usd: c.amount })) : [])
+  },
+  yields: {
+    filename: () => `yields-${yieldState.view}`,
+    rows: () => YIELD_VISIBLE_ROWS.map(r => (yieldState.view === 'projects'
+      ? { project: r.project, pools: r.pools, chains: r.chains.join(';'), tvl_usd: r.tvl, apy_tvl_weighted_pct: r.apy }
+      : { pool: r.symbol, project: r.project, chain: r.chain, tvl_usd: r.tvl, apy_pct: r.apy, apy_base_pct: r.apyBase, apy_reward_pct: r.apyReward, pool_id: r.pool }))
+  },
+  coinDrawer: {
+    filename: () => `chains-${slugifyProjectName(DRAWER_COIN ? DRAWER_COIN.coin.symbol : 'coin')}`,
+    rows: () => (DRAWER_COIN ? DRAWER_COIN.chains.map(c => ({ symbol: DRAWER_COIN.coin.symbol, chain: c.name, amount_usd: c.amount })) : [])
+  }
+};
+
+function concentrationRows(history) {
+  return history.map(p => ({ date: isoDate(p.x), hhi: p.hhi, top3_share_pct: p.top3, top5_share_pct: p.top5, gini: p.gini, members: p.n }));
+}
+
+function histExportSlug() {
+  if (histCompare.enabled) {
+    return histCompare.ids
+      .map(id => HIST_allAssets.find(a => String(a.id) === id)?.symbol || id)
+      .map(slugifyProjectName).join('-') || 'compare';
+  }
+  const a = HIST_allAssets.find(x => String(x.id) === String(HIST_currentAssetId));
+  return slugifyProjectName(a ? a.symbol || a.name : 'asset');
+}
+
+// Flatten a Chart.js chart into rows: doughnuts as label/value, time series as one row per date
+function chartToRows(chart, valueSuffix = '') {
+  if (!chart || !chart.data) return [];
+  const { labels = [], datasets = [] } = chart.data;
+  const type = chart.config?.type;
+  if (type === 'doughnut' || type === 'pie') {
+    const ds = datasets[0] || { data: [] };
+    return labels.map((label, i) => ({ label, value_usd: ds.data[i] }))
+      .filter((_, i) => chart.getDataVisibility ? chart.getDataVisibility(i) : true);
+  }
+  const byX = new Map();
+  datasets.forEach((ds, i) => {
+    if (chart.isDatasetVisible && !chart.isDatasetVisible(i)) return;
+    const col = `${ds.label}${valueSuffix}`;
+    for (const p of ds.data || []) {
+      if (!p || p.x == null) continue;
+      const row = byX.get(p.x) || { date: isoDate(p.x) };
+      row[col] = p.y;
+      byX.set(p.x, row);
+    }
+  });
+  return [...byX.entries()].sort((a, b) => a[0] - b[0]).map(e => e[1]);
+}
+
+function rowsToCSV(rows) {
+  if (!rows.length) return '';
+  const cols = [...new Set(rows.flatMap(r => Object.keys(r)))];
+  const cell = (v) => {
+    if (v == null || (typeof v === 'number' && isNaN(v))) return '';
+    let str = String(v);
+    // Text that a spreadsheet would run as a formula; numbers stay numbers
+    if (typeof v === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  // Column names can be chain or coin names, so they get the same escaping
+  return [cols.map(cell).join(','), ...rows.map(r => cols.map(c => cell(r[c])).join(','))].join('\n');
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Chart canvases are transparent; paint the page background under them
+function chartToPNG(chart) {
+  const src = chart.canvas;
+  const out = document.createElement('canvas');
+  out.width = src.width;
+  out.height = src.height;
+  const ctx = out.getContext('2d');
+  ctx.fillStyle = getComputedStyle(document.body).backgroundColor || '#162f29';
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(src, 0, 0);
+  return new Promise(resolve => out.toBlob(resolve, 'image/png'));
+}
+
+async function runExport(key, format) {
+  const def = EXPORTS[key];
+  if (!def) return;
+  const base = `${typeof def.filename === 'function' ? def.filename() : def.filename}-${isoDate(Date.now())}`;
+  const chart = def.chart ? def.chart() : null;
+  if (format === 'png') {
+    if (!chart) return;
+    const blob = await chartToPNG(chart);
+    if (blob) downloadBlob(blob, `${base}.png`);
+    return;
+  }
+  const rows = def.rows ? def.rows() : chartToRows(chart, def.valueSuffix ? def.valueSuffix() : '');
+  if (format === 'json') {
+    downloadBlob(new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' }), `${base}.json`);
+  } else {
+    downloadBlob(new Blob([rowsToCSV(rows)], { type: 'text/csv' }), `${base}.csv`);
+  }
+}
+
+function setupExportMenus() {
+  document.querySelectorAll('.export-menu[data-export]').forEach(el => {
+    const def = EXPORTS[el.dataset.export];
+    if (!def || el.hasEventListener) return;
+    const formats = ['csv', 'json', ...(def.chart ? ['png'] : [])];
+    el.innerHTML = `
+      <button class="seg-btn export-btn" title="Export">Export ▾</button>
+      <div class="export-list hidden">
+        ${formats.map(f => `<button class="export-item" data-format="${f}">${f.toUpperCase()}</button>`).join('')}
+      </div>
+    `;
+    const list = el.querySelector('.export-list');
+    el.querySelector('.export-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      document.querySelectorAll('.export-list').forEach(l => { if (l !== list) l.classList.add('hidden'); });
+      list.classList.toggle('hidden');
+    });
+    list.querySelectorAll('[data-format]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        list.classList.add('hidden');
+        runExport(el.dataset.export, btn.dataset.format).catch(err => console.error('Export failed:', err));
+      });
+    });
+    el.hasEventListener = true;
+  });
+  document.addEventListener('click', () => {
+    document.querySelectorAll('.export-list').forEach(l => l.classList.add('hidden'));
+  });
+}
+
+// -----------------------------
+// Coin detail drawer
+// -----------------------------
+const DRAWER_SPARK_DAYS = 90;
+const DRAWER_DONUT_TOP = 8; // chains shown in the donut; the rest become "Other"
+let DRAWER_COIN = null; // { coin, chains } on screen (for export and watchlist updates)
+let DRAWER_DONUT = null;
+let DRAWER_SPARK = null;
+
+function coinChainRows(coin) {
+  return Object.entries(coin.chainSupply || {})
+    .map(([name, v]) => ({ name, amount: v.current }))
+    .filter(ch => ch.amount > 0)
+    .sort((a, b) => b.amount - a.amount);
+}
+
+function drawerChangeHTML(label, mcap, prev) {
+  const pct = prev > 0 ? (mcap - prev) / prev * 100 : null;
+  return `
+    <div class="drawer-stat">
+      <div class="kpi-label">${label}</div>
+      <div>${fmtChange(pct)}</div>
+      <div class="muted small">${prev > 0 ? `${mcap >= prev ? '+' : ''}${formatUSD(mcap - prev)} from ${formatUSD(prev)}` : '—'}</div>
+    </div>
+  `;
+}
+
+async function openCoinDrawer(id) {
+  const drawer = document.getElementById('coinDrawer');
+  if (!drawer) return;
+  let coin = SC_SNAPSHOT.find(c => String(c.id) === String(id));
+  if (!coin) {
+    try {
+      coin = (await DATA.getStablecoins()).data.find(c => String(c.id) === String(id));
+    } catch (e) {
+      console.error('Failed to load stablecoin for drawer:', e);
+    }
+  }
+  if (!coin) return;
+  const chains = coinChainRows(coin);
+  DRAWER_COIN = { coin, chains };
+  const peg = pegInfoFor(coin);
+
+  document.getElementById('drawerStar').innerHTML = starHTML(coin.id);
+  document.getElementById('drawerSymbol').textContent = coin.symbol;
+  document.getElementById('drawerName').textContent = coin.name;
+  document.getElementById('drawerMeta').innerHTML = [
+    ['Market cap', nativeAmountHTML(coin, coin.mcap, coin.native?.mcap)],
+    ['Price / peg', pegCellHTML({ price: peg.price, pegDeviationBps: peg.deviationBps, pegStatus: peg.status })],
+    ['Peg currency', `${pegCurrencyName(coin.pegCurrency)}${coin.pegCurrency !== 'USD' && coin.fxRate ? ` · ${fxRateLabel(coin)}` : ''}`],
+    ['Mechanism', coin.pegMechanism],
+    ['Price source', coin.priceSource],
+    ['CoinGecko id', coin.geckoId || '—'],
+    ['Chains', String(chains.length)],
+    ['DefiLlama id', String(coin.id)]
+  ].map(([k, v]) => `<div><dt>${k}</dt><dd>${v}</dd></div>`).join('');
+  document.getElementById('drawerChanges').innerHTML =
+    drawerChangeHTML('1d', coin.mcap, coin.prevDay) +
+    drawerChangeHTML('7d', coin.mcap, coin.prevWeek) +
+    drawerChangeHTML('30d', coin.mcap, coin.prevMonth);
+  document.getElementById('drawerChains').innerHTML = chains.length
+    ? chains.map(ch => `
+      <div class="chain-item">
+        <div class="chain-name">${ch.name}</div>
+        <div class="chain-amount">${formatUSD(ch.amount)} <span class="muted small">${fmtPct(coin.mcap > 0 ? ch.amount / coin.mcap * 100 : null, 1)}</span></div>
+      </div>
+    `).join('')
+    : '<div class="muted small">No chain breakdown available.</div>';
+
+  drawer.classList.remove('hidden');
+  renderDrawerDonut(chains);
+  renderDrawerSparkline(coin);
+}
+
+function closeCoinDrawer() {
+  const drawer = document.getElementById('coinDrawer');
+  if (drawer) drawer.classList.add('hidden');
+}
+
+function renderDrawerDonut(chains) {
+  if (DRAWER_DONUT) { DRAWER_DONUT.destroy(); DRAWER_DONUT = null; }
+  const canvas = document.getElementById('drawerDonut');
+  if (!window.Chart || !canvas || !chains.length) return;
+  const top = chains.slice(0, DRAWER_DONUT_TOP);
+  const other = chains.slice(DRAWER_DONUT_TOP).reduce((s, ch) => s + ch.amount, 0);
+  const labels = [...top.map(ch => ch.name), ...(other > 0 ? ['Other'] : [])];
+  const data = [...top.map(ch => ch.amount), ...(other > 0 ? [other] : [])];
+  const colors = histPrepareColors(labels.length);
+  DRAWER_DONUT = new Chart(canvas, {
+    type: 'doughnut',
+    data: { labels, datasets: [{ data, backgroundColor: colors, borderColor: '#1a1a1a', borderWidth: 2 }] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      aspectRatio: 1.6,
+      cutout: '60%',
+      animation: { duration: 0 },
+      plugins: {
+        legend: { position: 'right', labels: { color: 'rgba(255,255,255,0.8)', boxWidth: 10 } },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => {
+              const total = ctx.dataset.data.reduce((a, b) => a + b, 0);
+              return `${ctx.label}: ${formatUSD(ctx.parsed)} (${(ctx.parsed / total * 100).toFixed(1)}%)`;
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
+async function renderDrawerSparkline(coin) {
+  const statusEl = document.getElementById('drawerSparkStatus');
+  if (DRAWER_SPARK) { DRAWER_SPARK.destroy(); DRAWER_SPARK = null; }
+  if (statusEl) statusEl.textContent = 'Loading history…';
+  let res;
+  try {
+    res = await histFetchAsset(coin.id);
+  } catch (e) {
+    console.warn('Failed to load drawer history:', e);
+    if (statusEl) statusEl.textContent = 'History unavailable.';
+    return;
+  }
+  if (!DRAWER_COIN || DRAWER_COIN.coin.id !== coin.id) return; // another coin was opened meanwhile
+  stampUpdated('drawer', res);
+  const { allDates, chainToUnified } = histBuildTimeIndex(res.data.chainSeries);
+  const since = Date.now() - DRAWER_SPARK_DAYS * 24 * 3600 * 1000;
+  const last = allDates.length ? allDates[allDates.length - 1] : 0;
+  // Anchor on the last point so older histories (e.g. fixtures) still show 90 days
+  const from = Math.min(since, last - DRAWER_SPARK_DAYS * 24 * 3600 * 1000);
+  const points = histBuildTotalSeries(chainToUnified, allDates).filter(p => p.x >= from);
+  if (statusEl) statusEl.textContent = points.length ? '' : 'No history available.';
+  const canvas = document.getElementById('drawerSpark');
+  if (!window.Chart || !canvas || !points.length) return;
+  const up = points[points.length - 1].y >= points[0].y;
+  DRAWER_SPARK = new Chart(canvas, {
+    type: 'line',
+    data: {
+      datasets: [{
+        data: points,
+        borderColor: up ? '#4ade80' : '#ef4444',
+        backgroundColor: up ? 'rgba(74, 222, 128, 0.12)' : 'rgba(239, 68, 68, 0.12)',
+        fill: true,
+        pointRadius: 0,
+        borderWidth: 1.5,
+        tension: 0.25
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: { duration: 0 },
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { display: false },
+        tooltip: { callbacks: { title: (items) => isoDate(items[0].parsed.x), label: (ctx) => formatUSD(ctx.parsed.y) } }
+      },
+      scales: {
+        x: { type: 'time', display: false },
+        y: { display: false }
+      }
     }
   });
 }
 
-// Handle search
-function handleSearch() {
-  const searchInput = document.getElementById('plasmaSearch');
-  currentSearch = searchInput.value.toLowerCase().trim();
-  applyFilters();
+// Same URL the Historical tab writes, so Back returns to the list
+function openCoinInHistorical() {
+  if (!DRAWER_COIN) return;
+  closeCoinDrawer();
+  history.pushState(null, '', `${location.pathname}${location.search}#/historical?asset=${encodeURIComponent(DRAWER_COIN.coin.id)}`);
+  applyRoute();
 }
 
-// Handle filter
-function handleFilter(category) {
-  currentCategory = category;
-  
-  // Update active filter button
-  document.querySelectorAll('.filter-btn').forEach(btn => {
-    btn.classList.remove('active');
+function setupCoinDrawer() {
+  const drawer = document.getElementById('coinDrawer');
+  if (!drawer || drawer.hasEventListener) return;
+  drawer.addEventListener('click', (e) => {
+    if (e.target === drawer) closeCoinDrawer();
   });
-  document.querySelector(`[data-category="${category}"]`).classList.add('active');
-  
-  applyFilters();
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !drawer.classList.contains('hidden')) closeCoinDrawer();
+  });
+  drawer.hasEventListener = true;
 }
 
-// Apply filters and search
-function applyFilters() {
-  filteredData = ecosystemData.filter(partner => {
-    // Category filter
-    const categoryMatch = currentCategory === 'all' || 
-                         partner.categories.includes(currentCategory);
-    
-    // Search filter
-    const searchMatch = !currentSearch ||
-                       partner.name.toLowerCase().includes(currentSearch) ||
-                       partner.description.toLowerCase().includes(currentSearch) ||
-                       partner.categories.some(cat => cat.toLowerCase().includes(currentSearch));
-    
-    return categoryMatch && searchMatch;
-  });
-  
-  renderPartners();
+subscribe('watchlist:changed', () => {
+  const starEl = document.getElementById('drawerStar');
+  if (DRAWER_COIN && starEl) starEl.innerHTML = starHTML(DRAWER_COIN.coin.id);
+});
+
+// Make functions globally accessible
+window.openCoinDrawer = openCoinDrawer;
+window.closeCoinDrawer = closeCoinDrawer;
+window.openCoinInHistorical = openCoinInHistorical;
+
+// -----------------------------
+// Cache inspector
+// -----------------------------
+function cacheKeyLabel(meta) {
+  try {
+    const u = new URL(meta.url);
+    return decodeURIComponent(u.host + u.pathname);
+  } catch { return meta.key; }
 }
 
-// Render partners
-function renderPartners() {
-  const grid = document.getElementById('plasmaGrid');
-  const noResults = document.getElementById('plasmaNoResults');
-  
-  if (!grid || !noResults) return;
-  
-  if (filteredData.length === 0) {
-    grid.style.display = 'none';
-    noResults.classList.remove('hidden');
+async function renderCacheInspector() {
+  const listEl = document.getElementById('cacheList');
+  const summaryEl = document.getElementById('cacheSummary');
+  if (!listEl) return;
+  const db = await openCacheDB();
+  const now = Date.now();
+  const metas = [...CACHE_META.values()].sort((a, b) => b.lastAccess - a.lastAccess);
+  if (summaryEl) {
+    summaryEl.textContent = db
+      ? `${metas.length} entr${metas.length === 1 ? 'y' : 'ies'} · ${fmtBytes(cacheTotalBytes())} of ${fmtBytes(CACHE_MAX_BYTES)}`
+      : 'IndexedDB unavailable, responses are cached in memory only';
+  }
+  if (!metas.length) {
+    listEl.innerHTML = '<div class="muted small">Cache is empty.</div>';
     return;
   }
-  
-  grid.style.display = 'grid';
-  noResults.classList.add('hidden');
-  
-  grid.innerHTML = filteredData.map(partner => {
-    // Create a safe fallback SVG with proper encoding
-    const fallbackSvg = createFallbackSvg(partner.name);
-    
+  listEl.innerHTML = `
+    <div class="cache-row header"><div>Key</div><div>Age</div><div>Size</div><div>Source</div><div></div></div>
+  ` + metas.map(m => {
+    const age = now - m.fetchedAt;
+    const fresh = age < m.ttlSec * 1000;
     return `
-      <div class="partner-card" onclick="window.open('${partner.url}', '_blank')">
-        <div class="partner-logo">
-          <img src="${partner.logo}" alt="${partner.name}" onerror="this.src='${fallbackSvg}'">
-        </div>
-        <h3 class="partner-name">${partner.name}</h3>
-        <div class="partner-categories">
-          ${partner.categories.map(cat => 
-            `<span class="category-tag">${cat}</span>`
-          ).join('')}
-        </div>
-        <p class="partner-description">${partner.description}</p>
+      <div class="cache-row" data-key="${encodeURIComponent(m.key)}">
+        <div class="cache-key" title="${m.url}">${cacheKeyLabel(m)}</div>
+        <div class="${fresh ? '' : 'neg'}" title="TTL ${fmtAge(m.ttlSec * 1000)} · fetched ${fmtTime(m.fetchedAt)}">${fmtAge(age)}</div>
+        <div>${fmtBytes(m.size)}</div>
+        <div class="muted">${m.source}</div>
+        <div><button class="seg-btn cache-purge">Purge</button></div>
       </div>
     `;
   }).join('');
-  
-  
 }
 
-function slugifyProjectName(name) {
-  return String(name || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/(^-|-$)/g, '');
+function openCacheInspector() {
+  const modal = document.getElementById('cacheModal');
+  if (!modal) return;
+  modal.classList.remove('hidden');
+  renderCacheInspector();
 }
 
-async function fetchTopStablecoinYieldProjects(limit = 50) {
-  let payload;
-  try {
-    const { data } = await fetchWithCache(EP.POOLS, { ttlSec: 300, version: '1' });
-    payload = Array.isArray(data?.data) ? data.data : (Array.isArray(data) ? data : []);
-  } catch {
-    return [];
-  }
-
-  const STABLES = new Set([
-    'USDT','USDC','DAI','TUSD','FDUSD','USDP','FRAX','LUSD','PYUSD','USDD','GUSD',
-    'CRVUSD','SUSD','GHO','MIM','DOLA','USD0','USDM','EUSD','MKUSD','USDC.E','USDBC',
-    'USDE','SUSDE','RLUSD','USDS','USD1'
-  ]);
-  function tokenizeSymbol(sym){
-    return String(sym || '').toUpperCase().split(/[^A-Z0-9]+/g).filter(Boolean);
-  }
-  const rows = payload.filter(p => {
-    const symUp = String(p.symbol || p.pool || '').toUpperCase();
-    const tokens = tokenizeSymbol(symUp);
-    if (tokens.length === 0) return false;
-    const tokenHit = tokens.some(t => STABLES.has(t));
-    const substringHit = Array.from(STABLES).some(s => symUp.includes(s));
-    return tokenHit || substringHit;
-  });
-  const projectToTvl = new Map();
-  for (const r of rows) {
-    const project = r.project || '';
-    if (!project) continue;
-    const tvl = Number(r.tvlUsd ?? r.totalSupplyUsd ?? 0);
-    projectToTvl.set(project, (projectToTvl.get(project) || 0) + tvl);
-  }
-  return Array.from(projectToTvl.entries())
-    .map(([project, tvl]) => ({ project, tvl }))
-    .sort((a,b) => b.tvl - a.tvl)
-    .slice(0, limit);
+function closeCacheInspector() {
+  const modal = document.getElementById('cacheModal');
+  if (modal) modal.classList.add('hidden');
 }
 
-function augmentEcosystemWithTopYieldProjects(topProjects) {
-  const existing = new Set((ecosystemData || []).map(p => String(p.name || '').toLowerCase()));
-  for (const { project } of topProjects) {
-    const key = String(project || '').toLowerCase();
-    if (!key || existing.has(key)) continue;
-    const slug = slugifyProjectName(project);
-    ecosystemData.push({
-      name: project,
-      logo: `logos/${slug}.svg`,
-      url: 'https://defillama.com/yields/stablecoins',
-      categories: ['yield'],
-      description: `${project} appears among the top projects by stablecoin TVL (auto‑added).`
+function setupCacheInspector() {
+  const modal = document.getElementById('cacheModal');
+  const listEl = document.getElementById('cacheList');
+  const purgeAll = document.getElementById('cachePurgeAll');
+  if (!modal || !listEl) return;
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeCacheInspector();
+  });
+  listEl.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.cache-purge');
+    if (!btn) return;
+    await purgeCacheKey(decodeURIComponent(btn.closest('.cache-row').dataset.key));
+    renderCacheInspector();
+  });
+  if (purgeAll) {
+    purgeAll.addEventListener('click', async () => {
+      await purgeCache();
+      renderCacheInspector();
     });
-    existing.add(key);
   }
 }
 
-// Add this new function to create properly encoded fallback SVGs
-function createFallbackSvg(partnerName) {
-  // Get the first character and handle it safely
-  const firstChar = partnerName.charAt(0);
-  
-  // Create a simple, safe SVG fallback
-  const svgContent = `<svg xmlns="http://www.w3.org/2000/svg" width="60" height="60" viewBox="0 0 60 60"><rect width="60" height="60" fill="#4ade80" rx="10"/><text x="30" y="35" text-anchor="middle" fill="white" font-size="20" font-weight="bold" font-family="Arial, sans-serif">${firstChar}</text></svg>`;
-  
-  // Properly encode the SVG for use as a data URL using base64
-  return 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svgContent)));
+// -----------------------------
+// Alerts: user rules checked against stablecoins + stablecoinchains
+// -----------------------------
+// Rules: { id, kind: 'change' | 'chainShare', target: coin id | 'top:N', window, chain, op: 'below' | 'above', value, enabled }
+// A rule fires when a coin starts matching; it must stop matching before it can fire again.
+const ALERT_RULES_STORAGE_KEY = 'alertRules';
+const ALERT_STATE_STORAGE_KEY = 'alertState';
+const ALERT_LOG_STORAGE_KEY = 'alertLog';
+const ALERT_SEEN_STORAGE_KEY = 'alertSeenAt';
+const ALERT_LOG_MAX = 200;
+const ALERT_WINDOWS = { '1d': 'prevDay', '7d': 'prevWeek', '30d': 'prevMonth' };
+const ALERT_TOP_SCOPES = [20, 50];
+let ALERT_RULES = readStoredJSON(ALERT_RULES_STORAGE_KEY, []);
+let ALERT_LOG = readStoredJSON(ALERT_LOG_STORAGE_KEY, []); // newest first
+const ALERT_ACTIVE = new Set(readStoredJSON(ALERT_STATE_STORAGE_KEY, [])); // "ruleId:coinId" currently matching
+let alertEditingId = null;
+
+function readStoredJSON(key, fallback) {
+  try {
+    const v = JSON.parse(localStorage.getItem(key));
+    return v == null ? fallback : v;
+  } catch { return fallback; }
 }
 
-// Clear all filters
-function clearPlasmaFilters() {
-  currentCategory = 'all';
-  currentSearch = '';
-  
-  const searchInput = document.getElementById('plasmaSearch');
-  if (searchInput) searchInput.value = '';
-  
-  document.querySelectorAll('.filter-btn').forEach(btn => {
-    btn.classList.remove('active');
-  });
-  const allBtn = document.querySelector('[data-category="all"]');
-  if (allBtn) allBtn.classList.add('active');
-  
-  applyFilters();
+function writeStoredJSON(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch { /* ignore */ }
 }
 
-// Make clearPlasmaFilters globally accessible
-window.clearPlasmaFilters = clearPlasmaFilters;
+function saveAlertRules() {
+  writeStoredJSON(ALERT_RULES_STORAGE_KEY, ALERT_RULES);
+}
 
-// Debounce utility
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
+function alertTargetLabel(target, coins) {
+  if (String(target).startsWith('top:')) return `Any top-${target.slice(4)} coin`;
+  const c = coins.find(x => String(x.id) === String(target));
+  return c ? c.symbol : `#${target}`;
+}
+
+function describeAlertRule(rule, coins = SC_SNAPSHOT) {
+  const op = rule.op === 'below' ? 'below' : 'above';
+  const value = `${rule.value > 0 ? '+' : ''}${rule.value}%`;
+  const who = alertTargetLabel(rule.target, coins);
+  return rule.kind === 'chainShare'
+    ? `${who} share of ${rule.chain} stablecoins ${op} ${rule.value}%`
+    : `${who} ${rule.window} supply change ${op} ${value}`;
+}
+
+// Current value of a rule's metric for every coin it covers: [{ coin, value }]
+function alertRuleValues(rule, coins, chains) {
+  let targets;
+  if (String(rule.target).startsWith('top:')) {
+    const n = Number(rule.target.slice(4));
+    targets = [...coins].sort((a, b) => b.mcap - a.mcap).slice(0, n);
+  } else {
+    targets = coins.filter(c => String(c.id) === String(rule.target));
+  }
+  if (rule.kind === 'chainShare') {
+    const chain = chains.find(ch => ch.name === rule.chain);
+    if (!chain || !(chain.supply > 0)) return [];
+    return targets.map(coin => ({ coin, value: (coin.chainSupply[rule.chain]?.current || 0) / chain.supply * 100 }));
+  }
+  const prevKey = ALERT_WINDOWS[rule.window] || 'prevDay';
+  return targets
+    .filter(coin => coin[prevKey] > 0)
+    .map(coin => ({ coin, value: (coin.mcap - coin[prevKey]) / coin[prevKey] * 100 }));
+}
+
+async function checkAlertRules() {
+  const rules = ALERT_RULES.filter(r => r.enabled);
+  if (!rules.length) return;
+  const [coinsRes, chainsRes] = await Promise.all([DATA.getStablecoins(), DATA.getChains()]);
+  const coins = coinsRes.data;
+  const chains = chainsRes.data;
+  const seen = new Set();
+  for (const rule of rules) {
+    for (const { coin, value } of alertRuleValues(rule, coins, chains)) {
+      const matched = rule.op === 'below' ? value < rule.value : value > rule.value;
+      const key = `${rule.id}:${coin.id}`;
+      if (!matched) continue;
+      seen.add(key);
+      if (ALERT_ACTIVE.has(key)) continue;
+      fireAlert(rule, coin, value, coins);
+    }
+  }
+  // Forget matches that cleared so they can fire again
+  ALERT_ACTIVE.clear();
+  seen.forEach(k => ALERT_ACTIVE.add(k));
+  writeStoredJSON(ALERT_STATE_STORAGE_KEY, [...ALERT_ACTIVE]);
+}
+
+function fireAlert(rule, coin, value, coins) {
+  const metric = rule.kind === 'chainShare'
+    ? `${value.toFixed(1)}% of ${rule.chain} stablecoins`
+    : `${value > 0 ? '+' : ''}${value.toFixed(2)}% in ${rule.window}`;
+  const entry = {
+    at: Date.now(),
+    ruleId: rule.id,
+    title: `${coin.symbol}: ${metric}`,
+    body: `Rule: ${describeAlertRule(rule, coins)}`
   };
+  ALERT_LOG = [entry, ...ALERT_LOG].slice(0, ALERT_LOG_MAX);
+  writeStoredJSON(ALERT_LOG_STORAGE_KEY, ALERT_LOG);
+  if ('Notification' in window && Notification.permission === 'granted') {
+    try {
+      new Notification(entry.title, { body: entry.body, tag: `${rule.id}:${coin.id}`, icon: 'icons/icon-192.png' });
+    } catch (e) {
+      console.warn('Notification failed:', e); // e.g. mobile browsers that require a service worker
+    }
+  }
+  updateAlertBadge();
+  if (isAlertsOpen()) renderAlertLog();
 }
 
-// -----------------------------
-// Chain Modal Functions
-// -----------------------------
+function updateAlertBadge() {
+  const el = document.getElementById('alertCount');
+  if (!el) return;
+  const seenAt = Number(localStorage.getItem(ALERT_SEEN_STORAGE_KEY)) || 0;
+  const unseen = ALERT_LOG.filter(e => e.at > seenAt).length;
+  el.textContent = unseen > 99 ? '99+' : String(unseen);
+  el.classList.toggle('hidden', !unseen);
+}
 
-// Show chain modal with all chains for a stablecoin
-function showChainModal(symbol, chains) {
-  const modal = document.getElementById('chainModal');
-  const modalSymbol = document.getElementById('modalSymbol');
-  const modalChains = document.getElementById('modalChains');
-  
-  if (!modal || !modalSymbol || !modalChains) return;
-  
-  // Set the symbol in the title
-  modalSymbol.textContent = symbol;
-  
-  // Sort chains by amount (highest first)
-  const sortedChains = [...chains].sort((a, b) => b.amount - a.amount);
-  
-  // Generate chain list HTML
-  const chainsHTML = sortedChains.map(chain => `
-    <div class="chain-item">
-      <div class="chain-name">${chain.name}</div>
-      <div class="chain-amount">${formatUSD(chain.amount)}</div>
+function isAlertsOpen() {
+  const modal = document.getElementById('alertsModal');
+  return !!modal && !modal.classList.contains('hidden');
+}
+
+function renderAlertRules() {
+  const listEl = document.getElementById('alertRuleList');
+  if (!listEl) return;
+  if (!ALERT_RULES.length) {
+    listEl.innerHTML = '<div class="muted small">No rules yet. Add one below.</div>';
+    return;
+  }
+  listEl.innerHTML = ALERT_RULES.map(r => `
+    <div class="alert-row${r.enabled ? '' : ' disabled'}" data-id="${r.id}">
+      <label class="alert-toggle"><input type="checkbox" data-action="toggle" ${r.enabled ? 'checked' : ''}> ${describeAlertRule(r)}</label>
+      <div class="controls">
+        <button class="seg-btn alert-btn" data-action="edit">Edit</button>
+        <button class="seg-btn alert-btn" data-action="delete">Delete</button>
+      </div>
     </div>
   `).join('');
-  
-  modalChains.innerHTML = chainsHTML;
-  
-  // Show modal
+}
+
+function renderAlertLog() {
+  const logEl = document.getElementById('alertLog');
+  if (!logEl) return;
+  logEl.innerHTML = ALERT_LOG.length
+    ? ALERT_LOG.map(e => `
+      <div class="alert-row">
+        <div><strong>${e.title}</strong><div class="muted small">${e.body}</div></div>
+        <div class="muted small">${fmtTime(e.at)}</div>
+      </div>
+    `).join('')
+    : '<div class="muted small">No alerts fired yet.</div>';
+}
+
+function renderNotifyButton() {
+  const btn = document.getElementById('alertNotifyBtn');
+  if (!btn) return;
+  if (!('Notification' in window)) { btn.classList.add('hidden'); return; }
+  const perm = Notification.permission;
+  btn.disabled = perm !== 'default';
+  btn.textContent = perm === 'granted' ? 'Notifications on' : (perm === 'denied' ? 'Notifications blocked' : 'Enable notifications');
+}
+
+async function requestAlertNotifications() {
+  if (!('Notification' in window) || Notification.permission !== 'default') return;
+  try { await Notification.requestPermission(); } catch { /* ignore */ }
+  renderNotifyButton();
+}
+
+// Show only the inputs the chosen rule kind uses
+function syncAlertFormFields() {
+  const kind = document.getElementById('alertKind')?.value;
+  const targetEl = document.getElementById('alertTarget');
+  document.getElementById('alertWindow')?.classList.toggle('hidden', kind !== 'change');
+  document.getElementById('alertChain')?.classList.toggle('hidden', kind !== 'chainShare');
+  if (targetEl) {
+    targetEl.querySelectorAll('option[value^="top:"]').forEach(o => { o.hidden = kind === 'chainShare'; });
+    if (kind === 'chainShare' && targetEl.value.startsWith('top:')) targetEl.selectedIndex = ALERT_TOP_SCOPES.length;
+  }
+}
+
+async function fillAlertFormOptions() {
+  const targetEl = document.getElementById('alertTarget');
+  const chainEl = document.getElementById('alertChain');
+  if (!targetEl || !chainEl) return;
+  try {
+    const [coinsRes, chainsRes] = await Promise.all([DATA.getStablecoins(), DATA.getChains()]);
+    const coins = [...coinsRes.data].filter(c => c.mcap > 0).sort((a, b) => b.mcap - a.mcap);
+    const prevTarget = targetEl.value;
+    const prevChain = chainEl.value;
+    targetEl.innerHTML = ALERT_TOP_SCOPES.map(n => `<option value="top:${n}">Any top-${n} coin</option>`).join('') +
+      coins.map(c => `<option value="${c.id}">${c.symbol} · ${c.name}</option>`).join('');
+    chainEl.innerHTML = [...chainsRes.data].sort((a, b) => b.supply - a.supply)
+      .map(ch => `<option value="${ch.name}">${ch.name}</option>`).join('');
+    if (prevTarget) targetEl.value = prevTarget;
+    if (prevChain) chainEl.value = prevChain;
+  } catch (e) {
+    console.warn('Failed to load alert form options:', e);
+  }
+  syncAlertFormFields();
+}
+
+function resetAlertForm() {
+  alertEditingId = null;
+  const form = document.getElementById('alertRuleForm');
+  if (!form) return;
+  document.getElementById('alertValue').value = '';
+  document.getElementById('alertSave').textContent = 'Add rule';
+  document.getElementById('alertCancel').classList.add('hidden');
+}
+
+function editAlertRule(rule) {
+  alertEditingId = rule.id;
+  document.getElementById('alertKind').value = rule.kind;
+  document.getElementById('alertTarget').value = rule.target;
+  document.getElementById('alertWindow').value = rule.window || '1d';
+  if (rule.chain) document.getElementById('alertChain').value = rule.chain;
+  document.getElementById('alertOp').value = rule.op;
+  document.getElementById('alertValue').value = rule.value;
+  document.getElementById('alertSave').textContent = 'Save rule';
+  document.getElementById('alertCancel').classList.remove('hidden');
+  syncAlertFormFields();
+}
+
+function submitAlertForm(e) {
+  e.preventDefault();
+  const value = Number(document.getElementById('alertValue').value);
+  const target = document.getElementById('alertTarget').value;
+  if (!target || document.getElementById('alertValue').value === '' || isNaN(value)) return;
+  const kind = document.getElementById('alertKind').value;
+  const rule = {
+    id: alertEditingId || `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    kind,
+    target,
+    window: kind === 'change' ? document.getElementById('alertWindow').value : null,
+    chain: kind === 'chainShare' ? document.getElementById('alertChain').value : null,
+    op: document.getElementById('alertOp').value,
+    value,
+    enabled: true
+  };
+  if (alertEditingId) {
+    ALERT_RULES = ALERT_RULES.map(r => (r.id === rule.id ? { ...rule, enabled: r.enabled } : r));
+    forgetAlertMatches(rule.id); // edited thresholds get a fresh start
+  } else {
+    ALERT_RULES = [...ALERT_RULES, rule];
+  }
+  saveAlertRules();
+  resetAlertForm();
+  renderAlertRules();
+  requestAlertNotifications();
+  checkAlertRules().catch(err => console.warn('Alert check failed:', err));
+}
+
+function forgetAlertMatches(ruleId) {
+  [...ALERT_ACTIVE].filter(k => k.startsWith(`${ruleId}:`)).forEach(k => ALERT_ACTIVE.delete(k));
+  writeStoredJSON(ALERT_STATE_STORAGE_KEY, [...ALERT_ACTIVE]);
+}
+
+function markAlertsSeen() {
+  try { localStorage.setItem(ALERT_SEEN_STORAGE_KEY, String(Date.now())); } catch { /* ignore */ }
+  updateAlertBadge();
+}
+
+function openAlerts() {
+  const modal = document.getElementById('alertsModal');
+  if (!modal) return;
   modal.classList.remove('hidden');
-  
-  // Close modal when clicking outside
+  markAlertsSeen();
+  renderNotifyButton();
+  renderAlertRules();
+  renderAlertLog();
+  fillAlertFormOptions();
+}
+
+function closeAlerts() {
+  const modal = document.getElementById('alertsModal');
+  if (modal) modal.classList.add('hidden');
+  resetAlertForm();
+  markAlertsSeen(); // anything that fired while the log was open has been seen
+}
+
+function setupAlerts() {
+  const modal = document.getElementById('alertsModal');
+  const listEl = document.getElementById('alertRuleList');
+  const form = document.getElementById('alertRuleForm');
+  if (!modal || !listEl || !form) return;
   modal.addEventListener('click', (e) => {
-    if (e.target === modal) {
-      closeChainModal();
+    if (e.target === modal) closeAlerts();
+  });
+  listEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    const id = btn.closest('.alert-row').dataset.id;
+    const rule = ALERT_RULES.find(r => r.id === id);
+    if (!rule) return;
+    if (btn.dataset.action === 'toggle') {
+      rule.enabled = btn.checked;
+      forgetAlertMatches(id);
+    } else if (btn.dataset.action === 'edit') {
+      editAlertRule(rule);
+      return;
+    } else if (btn.dataset.action === 'delete') {
+      ALERT_RULES = ALERT_RULES.filter(r => r.id !== id);
+      forgetAlertMatches(id);
+      if (alertEditingId === id) resetAlertForm();
     }
+    saveAlertRules();
+    renderAlertRules();
+  });
+  form.addEventListener('submit', submitAlertForm);
+  document.getElementById('alertKind')?.addEventListener('change', syncAlertFormFields);
+  document.getElementById('alertCancel')?.addEventListener('click', resetAlertForm);
+  document.getElementById('alertNotifyBtn')?.addEventListener('click', requestAlertNotifications);
+  document.getElementById('alertClearLog')?.addEventListener('click', () => {
+    ALERT_LOG = [];
+    writeStoredJSON(ALERT_LOG_STORAGE_KEY, ALERT_LOG);
+    renderAlertLog();
+    updateAlertBadge();
   });
+  updateAlertBadge();
+  checkAlertRules().catch(e => console.warn('Alert check failed:', e));
 }
 
-// Close chain modal
-function closeChainModal() {
-  const modal = document.getElementById('chainModal');
-  if (modal) {
-    modal.classList.add('hidden');
+window.openAlerts = openAlerts;
+window.closeAlerts = closeAlerts;
+window.openCacheInspector = openCacheInspector;
+window.retryNow = retryNow;
+window.toggleWatch = toggleWatch;
+window.dismissUpdatePrompt = dismissUpdatePrompt;
+window.closeCacheInspector = closeCacheInspector;
+
+
+
+// -----------------------------
+// Boot
+// -----------------------------
+// -----------------------------
+// Live refresh
+// -----------------------------
+// Views re-render in place when the bus reports new data for an endpoint they
+// use, and on the auto-refresh interval (which goes through the cache TTLs).
+const AUTO_REFRESH_OPTIONS = [0, 60, 300, 900, 1800]; // seconds; 0 = off
+const AUTO_REFRESH_DEFAULT_SEC = 300;
+const AUTO_REFRESH_STORAGE_KEY = 'autoRefreshSec';
+let autoRefreshTimer = null;
+
+const LIVE_VIEWS = {
+  overview: { endpoints: ['stablecoins', 'chains', 'prices', 'totalHistory'], ready: () => overviewReady, refresh: () => refreshOverview() },
+  historical: { endpoints: ['stablecoins', 'assetHistory'], ready: () => historicalReady, refresh: () => refreshHistorical() },
+  chains: { endpoints: ['stablecoins', 'chainHistory'], ready: () => chainsReady, refresh: () => refreshChains() },
+  yields: { endpoints: ['pools'], ready: () => yieldsReady, refresh: () => refreshYields() },
+  plasma: { endpoints: ['stablecoins', 'chainHistory', 'protocol'], ready: () => plasmaReady, refresh: () => refreshPlasma() },
+  // Not a tab: alert rules re-run whenever the snapshot or chain totals change
+  alerts: { endpoints: ['stablecoins', 'chains'], ready: () => ALERT_RULES.some(r => r.enabled), refresh: () => checkAlertRules() }
+};
+const liveViewState = new Map(); // view -> { timer, running, again }
+
+// Debounced so a burst of endpoint updates costs one re-render
+function scheduleViewRefresh(name) {
+  const view = LIVE_VIEWS[name];
+  if (!view || !view.ready()) return;
+  const st = liveViewState.get(name) || { timer: null, running: false, again: false };
+  liveViewState.set(name, st);
+  clearTimeout(st.timer);
+  st.timer = setTimeout(async () => {
+    if (st.running) { st.again = true; return; }
+    st.running = true;
+    try {
+      await view.refresh();
+    } catch (e) {
+      console.warn(`Refresh failed for ${name}:`, e);
+    } finally {
+      st.running = false;
+    }
+    if (st.again) {
+      st.again = false;
+      scheduleViewRefresh(name);
+    }
+  }, 250);
+}
+
+function refreshAllViews() {
+  Object.keys(LIVE_VIEWS).forEach(scheduleViewRefresh);
+}
+
+subscribe('data:updated', ({ endpoint }) => {
+  for (const [name, view] of Object.entries(LIVE_VIEWS)) {
+    if (view.endpoints.includes(endpoint)) scheduleViewRefresh(name);
+  }
+});
+
+// Degraded mode: refresh ready views and re-run init for the tab if it never loaded
+async function retryNow() {
+  const btn = document.getElementById('retryNow');
+  if (btn) { btn.disabled = true; btn.textContent = 'Retrying…'; }
+  FAILED_URLS.clear();
+  try {
+    const ready = Object.values(LIVE_VIEWS).filter(v => v.ready());
+    await Promise.allSettled(ready.map(v => v.refresh()));
+    const active = LIVE_VIEWS[ACTIVE_TAB];
+    if (active && !active.ready()) showTab(ACTIVE_TAB);
+  } finally {
+    if (btn) { btn.disabled = false; btn.textContent = 'Retry now'; }
+    updateStaleBanner();
   }
 }
 
-// Make functions globally accessible
-window.showChainModal = showChainModal;
-window.closeChainModal = closeChainModal;
+// Age labels ("12m old") move on even when nothing refetches
+function startFreshnessTicker() {
+  setInterval(() => CARD_FRESHNESS.forEach((_, name) => renderCardFreshness(name)), 30 * 1000);
+}
+
+function getAutoRefreshSec() {
+  try {
+    const raw = localStorage.getItem(AUTO_REFRESH_STORAGE_KEY);
+    return raw !== null && AUTO_REFRESH_OPTIONS.includes(Number(raw)) ? Number(raw) : AUTO_REFRESH_DEFAULT_SEC;
+  } catch { return AUTO_REFRESH_DEFAULT_SEC; }
+}
 
+function startAutoRefresh(sec) {
+  clearInterval(autoRefreshTimer);
+  autoRefreshTimer = sec > 0 ? setInterval(refreshAllViews, sec * 1000) : null;
+}
 
+function setupAutoRefreshControl() {
+  const sel = document.getElementById('autoRefresh');
+  const sec = getAutoRefreshSec();
+  if (sel) {
+    sel.innerHTML = AUTO_REFRESH_OPTIONS.map(v =>
+      `<option value="${v}">${v ? `Refresh every ${v >= 60 ? `${v / 60} min` : `${v}s`}` : 'Auto-refresh off'}</option>`
+    ).join('');
+    sel.value = String(sec);
+    if (!sel.hasEventListener) {
+      sel.addEventListener('change', () => {
+        const next = Number(sel.value);
+        try { localStorage.setItem(AUTO_REFRESH_STORAGE_KEY, String(next)); } catch { /* ignore */ }
+        startAutoRefresh(next);
+      });
+      sel.hasEventListener = true;
+    }
+  }
+  startAutoRefresh(sec);
+}
 
 // -----------------------------
-// Boot
+// Offline app: service worker, offline indicator, update prompt
 // -----------------------------
+let swUpdateAccepted = false;
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  navigator.serviceWorker.register('sw.js').then(reg => {
+    // A worker is already waiting (e.g. the update was found on an earlier visit)
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        // First install has no controller: nothing to update, nothing to prompt
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+      });
+    });
+  }).catch(e => console.warn('Service worker registration failed:', e));
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!swUpdateAccepted) return;
+    swUpdateAccepted = false;
+    location.reload();
+  });
+}
+
+function showUpdatePrompt(worker) {
+  const toast = document.getElementById('updateToast');
+  const btn = document.getElementById('updateReload');
+  if (!toast || !btn) return;
+  btn.onclick = () => {
+    swUpdateAccepted = true;
+    btn.disabled = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+  toast.classList.remove('hidden');
+}
+
+function dismissUpdatePrompt() {
+  document.getElementById('updateToast')?.classList.add('hidden');
+}
+
+function updateOfflineIndicator() {
+  const el = document.getElementById('offlineBadge');
+  if (el) el.classList.toggle('hidden', navigator.onLine !== false);
+}
+
+function setupOfflineIndicator() {
+  updateOfflineIndicator();
+  window.addEventListener('offline', updateOfflineIndicator);
+  window.addEventListener('online', () => {
+    updateOfflineIndicator();
+    // Back online: replace whatever was served from the offline copies
+    FAILED_URLS.clear();
+    refreshAllViews();
+  });
+}
+
+// Flag non-live data so a demo is never mistaken for the real market
+function showProviderBadge() {
+  const el = document.getElementById('providerBadge');
+  if (!el || DATA_PROVIDER === DEFAULT_PROVIDER) return;
+  el.textContent = DATA_PROVIDER === 'fixtures' ? 'Fixture data' : `Provider: ${DATA_PROVIDER}`;
+  el.classList.remove('hidden');
+}
+
 window.addEventListener('DOMContentLoaded', () => {
   setupTabs();
-  initOverview(); // Overview is default
+  setupExportMenus();
+  showProviderBadge();
+  setupCacheInspector();
+  setupCoinDrawer();
+  setupAutoRefreshControl();
+  startFreshnessTicker();
+  setupOfflineIndicator();
+  setupAlerts();
+  registerServiceWorker();
+  applyRoute(); // Overview unless the URL names another tab
+  window.addEventListener('popstate', applyRoute);
 });
 
 // ===============================
 // HISTORICAL TAB LOGIC (inline import from historical page)
 // ===============================
 
-const HIST_API_LIST = 'https://stablecoins.llama.fi/stablecoins';
-const HIST_API_ASSET = (id) => `https://stablecoins.llama.fi/stablecoin/${id}`;
-
 let HIST_allAssets = [];
 let HIST_filteredAssets = [];
 let HIST_marketCapChart = null;
 let HIST_stackedChart = null;
 let historicalInitDone = false;
+let historicalReady = false;
+let HIST_listFetchedAt = null;
+let HIST_shownSig = null; // fetchedAt of the asset histories on screen
+let HIST_currentAssetId = null;
+let HIST_pendingAssetId = null; // asset requested by the URL before the list loaded
+const HIST_COMPARE_MAX = 8;
+const histCompare = { enabled: false, ids: [], mode: 'usd', start: null }; // mode: 'usd' | 'index' | 'share'
+const HIST_RANGE = createRangeState('all');
+let HIST_raw = { market: [], stacked: [] }; // full-history datasets before range/resampling
 
 function histFormatUSD(x) {
   if (x == null || isNaN(x)) return '—';
@@ -1010,10 +4047,15 @@ function histSetStatus(msg, type = 'info') {
   el.className = 'hist-footnote' + (type === 'error' ? ' error' : '');
 }
 
-async function histFetchJSON(url) {
-  const res = await fetch(url, { headers: { 'accept': 'application/json' } });
-  if (!res.ok) throw new Error('HTTP ' + res.status + ' for ' + url);
-  return res.json();
+// Cached by fetchWithCache, so switching back to an asset is free
+// Passes the rate of the coin already on screen so the provider needn't reload the snapshot
+function histFetchAsset(id) {
+  const coin = HIST_allAssets.find(a => String(a.id) === String(id)) || SC_SNAPSHOT.find(c => String(c.id) === String(id));
+  return DATA.getAssetHistory(id, coin ? coin.fxRate : undefined);
+}
+
+function histSortAssets(list) {
+  return [...list].sort((x, y) => y.mcap - x.mcap);
 }
 
 function histRenderAssetList() {
@@ -1021,24 +4063,32 @@ function histRenderAssetList() {
   const mobileSelect = document.getElementById('histMobileSelect');
   if (!list) return;
   list.innerHTML = '';
-  if (mobileSelect) mobileSelect.innerHTML = '';
+  if (mobileSelect) {
+    // In compare mode the select toggles like the list, so it rests on a
+    // placeholder and picking the same coin again removes it
+    mobileSelect.innerHTML = histCompare.enabled ? '<option value="">Add or remove a stablecoin…</option>' : '';
+  }
   HIST_filteredAssets.forEach((a) => {
     const div = document.createElement('div');
-    div.className = 'hist-asset';
+    const selected = histCompare.enabled
+      ? histCompare.ids.includes(String(a.id))
+      : String(a.id) === String(HIST_currentAssetId);
+    div.className = 'hist-asset' + (selected ? ' selected' : '') + (histCompare.enabled ? ' compare' : '') + (isWatched(a.id) ? ' watched' : '');
     div.innerHTML = `
       <div>
-        <span class="name">${a.name}</span>
+        ${starHTML(a.id)}<span class="name">${a.name}</span>
         <span class="symbol">${a.symbol || ''}</span>
       </div>
-      <div class="circulating">${histFormatUSD(a.circulating?.peggedUSD || 0)}</div>
+      <div class="circulating">${histFormatUSD(a.mcap)}</div>
     `;
-    div.onclick = () => histSelectAsset(a);
+    div.onclick = () => (histCompare.enabled ? histToggleCompareAsset(a) : histSelectAsset(a));
     list.appendChild(div);
 
     if (mobileSelect) {
       const opt = document.createElement('option');
       opt.value = a.id;
-      opt.textContent = `${a.name} ${a.symbol ? `(${a.symbol})` : ''}`;
+      opt.dataset.label = `${a.name} ${a.symbol ? `(${a.symbol})` : ''}`;
+      opt.textContent = (histCompare.enabled && selected ? '✓ ' : '') + opt.dataset.label;
       mobileSelect.appendChild(opt);
     }
   });
@@ -1046,21 +4096,41 @@ function histRenderAssetList() {
     mobileSelect.onchange = () => {
       const id = mobileSelect.value;
       const a = HIST_filteredAssets.find(x => String(x.id) === String(id));
-      if (a) histSelectAsset(a);
+      if (!a) return;
+      if (histCompare.enabled) {
+        histToggleCompareAsset(a);
+        mobileSelect.value = '';
+      } else {
+        histSelectAsset(a);
+      }
     };
   }
 }
 
 function histFilterAssets(term) {
   const t = (term || '').trim().toLowerCase();
-  if (!t) {
-    HIST_filteredAssets = HIST_allAssets;
-  } else {
-    HIST_filteredAssets = HIST_allAssets.filter(a =>
-      a.name.toLowerCase().includes(t) || (a.symbol || '').toLowerCase().includes(t)
-    );
+  const currency = document.getElementById('histPegCurrency')?.value || 'all';
+  const matches = HIST_allAssets.filter(a =>
+    (currency === 'all' || a.pegCurrency === currency) &&
+    (!t || a.name.toLowerCase().includes(t) || (a.symbol || '').toLowerCase().includes(t))
+  );
+  HIST_filteredAssets = pinWatched(matches);
+  histRenderAssetList();
+}
+
+// Peg-currency filter for the asset list; options come from the loaded list
+function histSetupPegFilter() {
+  const sel = document.getElementById('histPegCurrency');
+  if (!sel) return;
+  const prev = sel.value || 'all';
+  const codes = [...new Set(HIST_allAssets.map(a => a.pegCurrency).filter(Boolean))].sort();
+  sel.innerHTML = '<option value="all">All currencies</option>' +
+    codes.map(c => `<option value="${c}">${c} · ${pegCurrencyName(c)}</option>`).join('');
+  sel.value = codes.includes(prev) ? prev : 'all';
+  if (!sel.hasEventListener) {
+    sel.addEventListener('change', () => histFilterAssets(document.getElementById('histSearch')?.value));
+    sel.hasEventListener = true;
   }
-  histRenderAssetList();
 }
 
 function histPrepareColors(n) {
@@ -1073,17 +4143,10 @@ function histPrepareColors(n) {
   return colors;
 }
 
-function histBuildTimeIndex(chainBalances) {
-  const chainSeries = {};
+// Align per-chain series ({ [chain]: [{ t, v }] }) onto one shared date axis
+function histBuildTimeIndex(chainSeries) {
   const allDatesSet = new Set();
-  const chains = Object.keys(chainBalances || {});
-  for (const chain of chains) {
-    const arr = chainBalances[chain]?.tokens || [];
-    const series = arr
-      .filter(p => p && p.date && p.circulating && typeof p.circulating.peggedUSD === 'number')
-      .map(p => ({ t: p.date * 1000, v: p.circulating.peggedUSD }))
-      .sort((a, b) => a.t - b.t);
-    chainSeries[chain] = series;
+  for (const series of Object.values(chainSeries || {})) {
     series.forEach(p => allDatesSet.add(p.t));
   }
   const allDates = Array.from(allDatesSet).sort((a, b) => a - b);
@@ -1174,15 +4237,17 @@ function histEnsureCharts() {
   const stCtx = document.getElementById('histStackedChart');
   if (!mcCtx || !stCtx || !window.Chart) return;
   const isMobile = window.matchMedia && window.matchMedia('(max-width: 768px)').matches;
+  const dragZoom = { onZoom: (from, to) => zoomRangeState(HIST_RANGE, from, to, onHistRangeChange) };
   if (!HIST_marketCapChart) {
     HIST_marketCapChart = new Chart(mcCtx, {
       type: 'line',
       data: { datasets: [] },
+      plugins: [dragZoomPlugin],
       options: {
         responsive: true,
         maintainAspectRatio: false,
         interaction: { mode: 'index', intersect: false },
-        plugins: { legend: { display: false }, tooltip: { callbacks: { label: (ctx) => histFormatUSD(ctx.parsed.y) } } },
+        plugins: { dragZoom, legend: { display: false }, tooltip: { callbacks: { label: (ctx) => histFormatUSD(ctx.parsed.y) } } },
         scales: {
           x: { type: 'time', time: { unit: 'month' }, grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)' } },
           y: { stacked: false, grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)', callback: (v) => histFormatUSD(v) } }
@@ -1194,11 +4259,12 @@ function histEnsureCharts() {
     HIST_stackedChart = new Chart(stCtx, {
       type: 'line',
       data: { datasets: [] },
+      plugins: [dragZoomPlugin],
       options: {
         responsive: true,
         maintainAspectRatio: false,
         interaction: { mode: 'index', intersect: false },
-        plugins: { legend: { display: !isMobile, position: 'bottom', labels: { color: 'rgba(255,255,255,0.8)' } }, tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${histFormatUSD(ctx.parsed.y)}` } } },
+        plugins: { dragZoom, legend: { display: !isMobile, position: 'bottom', labels: { color: 'rgba(255,255,255,0.8)' } }, tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${histFormatUSD(ctx.parsed.y)}` } } },
         scales: {
           x: { type: 'time', time: { unit: 'month' }, grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)' } },
           y: { stacked: true, grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)', callback: (v) => histFormatUSD(v) } }
@@ -1214,6 +4280,258 @@ function histEnsureCharts() {
   }
 }
 
+// Apply HIST_RANGE (window, resolution, log) to the full-history datasets and redraw
+function histRenderCharts() {
+  const extent = seriesExtent([...HIST_raw.market, ...HIST_raw.stacked]);
+  const bounds = extent.min == null ? null : resolveRange(HIST_RANGE, extent.min, extent.max);
+  syncRangeControls(document.getElementById('histRangeControls'), HIST_RANGE, bounds);
+  const ranged = (datasets) => (bounds
+    ? datasets.map(ds => ({ ...ds, data: applyRangeToPoints(ds.data, HIST_RANGE, bounds) }))
+    : []);
+  if (HIST_marketCapChart) {
+    if (bounds) applyRangeToChartOptions(HIST_marketCapChart, HIST_RANGE, bounds);
+    HIST_marketCapChart.data = { datasets: ranged(HIST_raw.market) };
+    HIST_marketCapChart.update();
+  }
+  if (HIST_stackedChart) {
+    // Stacked areas don't read well on a log axis; keep this one linear
+    if (bounds) applyRangeToChartOptions(HIST_stackedChart, HIST_RANGE, bounds, { allowLog: false });
+    HIST_stackedChart.data = { datasets: ranged(HIST_raw.stacked) };
+    HIST_stackedChart.update();
+  }
+  histRenderFlows(bounds);
+  histRenderConcentration(bounds);
+}
+
+function onHistRangeChange() {
+  histRenderCharts();
+  syncRoute();
+}
+
+// -----------------------------
+// Historical: net mint/burn flows
+// -----------------------------
+// Flows are differences between consecutive supply levels, bucketed by the
+// range resolution (daily / weekly / monthly) and clipped to the range window.
+const HIST_FLOW_TABLE_ROWS = 8;
+const histFlows = { view: 'chains' }; // 'chains' (stacked by chain) | 'total'
+let HIST_chainSource = null; // { allDates, chainToUnified, topChains } for the asset on screen (flows + concentration)
+let HIST_flowData = null;   // last computed flows (for the table and export)
+let HIST_flowBarChart = null;
+let HIST_flowCumChart = null;
+
+// Level series [{ x, y }] -> per-bucket net change [{ x, y }] inside bounds
+function flowSeries(levels, resolution, bounds) {
+  const sampled = resamplePoints(levels, resolution);
+  const out = [];
+  for (let i = 1; i < sampled.length; i++) {
+    const { x, y } = sampled[i];
+    if (x >= bounds.from && x <= bounds.to) out.push({ x, y: y - sampled[i - 1].y });
+  }
+  return out;
+}
+
+function histComputeFlows(source, bounds, resolution) {
+  const { allDates, chainToUnified, topChains } = source;
+  const levelsOf = (chains) => allDates.map((t, i) => ({
+    x: t,
+    y: chains.reduce((s, ch) => s + (chainToUnified[ch]?.[i]?.v || 0), 0)
+  }));
+  const groups = topChains.top.map(ch => ({ label: ch, chains: [ch] }));
+  if (topChains.others.length) groups.push({ label: 'Other', chains: topChains.others });
+  const byChain = groups.map(g => ({ label: g.label, data: flowSeries(levelsOf(g.chains), resolution, bounds) }));
+  const total = flowSeries(levelsOf(Object.keys(chainToUnified)), resolution, bounds);
+  return { byChain, total };
+}
+
+// Running sum from the start of the window
+function cumulativePoints(points) {
+  let sum = 0;
+  return points.map(p => ({ x: p.x, y: (sum += p.y) }));
+}
+
+function histEnsureFlowCharts() {
+  const barCtx = document.getElementById('histFlowBarChart');
+  const cumCtx = document.getElementById('histFlowCumChart');
+  if (!barCtx || !cumCtx || !window.Chart) return;
+  const axes = (stacked) => ({
+    x: { type: 'time', stacked, time: { unit: 'month' }, grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)' } },
+    y: { stacked, grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)', callback: (v) => histFormatUSD(v) } }
+  });
+  const legend = { position: 'bottom', labels: { color: 'rgba(255,255,255,0.8)', boxWidth: 10 } };
+  const tooltip = { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y > 0 ? '+' : ''}${histFormatUSD(ctx.parsed.y)}` } };
+  if (!HIST_flowBarChart) {
+    HIST_flowBarChart = new Chart(barCtx, {
+      type: 'bar',
+      data: { datasets: [] },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: { legend, tooltip },
+        scales: axes(true)
+      }
+    });
+  }
+  if (!HIST_flowCumChart) {
+    HIST_flowCumChart = new Chart(cumCtx, {
+      type: 'line',
+      data: { datasets: [] },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: { legend, tooltip },
+        scales: axes(false)
+      }
+    });
+  }
+}
+
+function histRenderFlows(bounds) {
+  const card = document.getElementById('histFlowsCard');
+  if (card) card.classList.toggle('hidden', histCompare.enabled);
+  if (histCompare.enabled) return;
+  if (!HIST_chainSource || !bounds) {
+    HIST_flowData = null;
+    histRenderFlowTable();
+    return;
+  }
+  HIST_flowData = histComputeFlows(HIST_chainSource, bounds, HIST_RANGE.resolution);
+  const { byChain, total } = HIST_flowData;
+  const colors = histPrepareColors(byChain.length); // same order as the distribution chart
+  histEnsureFlowCharts();
+  const unit = timeUnitFor(bounds.to - bounds.from);
+  if (HIST_flowBarChart) {
+    HIST_flowBarChart.data = {
+      datasets: histFlows.view === 'total'
+        ? [{
+          label: 'Net flow',
+          data: total,
+          backgroundColor: total.map(p => (p.y >= 0 ? '#22c55e' : '#ef4444'))
+        }]
+        : byChain.map((ds, i) => ({ label: ds.label, data: ds.data, backgroundColor: colors[i], stack: 'flows' }))
+    };
+    HIST_flowBarChart.options.scales.x.time.unit = unit;
+    HIST_flowBarChart.options.plugins.legend.display = histFlows.view !== 'total';
+    HIST_flowBarChart.update();
+  }
+  if (HIST_flowCumChart) {
+    HIST_flowCumChart.data = {
+      datasets: [
+        ...byChain.map((ds, i) => ({
+          label: ds.label,
+          data: cumulativePoints(ds.data),
+          borderColor: colors[i],
+          backgroundColor: colors[i],
+          pointRadius: 0,
+          borderWidth: 1.5,
+          tension: 0.2
+        })),
+        {
+          label: 'Total',
+          data: cumulativePoints(total),
+          borderColor: '#ffffff',
+          backgroundColor: '#ffffff',
+          borderDash: [6, 4],
+          pointRadius: 0,
+          borderWidth: 2,
+          tension: 0.2
+        }
+      ]
+    };
+    HIST_flowCumChart.options.scales.x.time.unit = unit;
+    HIST_flowCumChart.update();
+  }
+  histRenderFlowTable();
+}
+
+// Largest mint and burn periods for the asset total, with the chain that moved most
+function histRenderFlowTable() {
+  const el = document.getElementById('histFlowTable');
+  if (!el) return;
+  if (!HIST_flowData || !HIST_flowData.total.length) {
+    el.innerHTML = '<div class="muted small">No flow data for this range.</div>';
+    return;
+  }
+  const { byChain, total } = HIST_flowData;
+  const period = { daily: 'days', weekly: 'weeks', monthly: 'months' }[HIST_RANGE.resolution] || 'days';
+  const moverAt = (x, sign) => {
+    let best = null;
+    for (const ds of byChain) {
+      const p = ds.data.find(q => q.x === x);
+      if (p && Math.sign(p.y) === sign && (!best || Math.abs(p.y) > Math.abs(best.y))) best = { label: ds.label, y: p.y };
+    }
+    return best;
+  };
+  const rowsHTML = (list, sign) => (list.length
+    ? list.map(p => {
+      const mover = moverAt(p.x, sign);
+      return `
+        <div class="flow-row">
+          <div>${isoDate(p.x)}</div>
+          <div class="${sign > 0 ? 'pos' : 'neg'}">${sign > 0 ? '+' : ''}${histFormatUSD(p.y)}</div>
+          <div class="muted">${mover ? `${mover.label} ${sign > 0 ? '+' : ''}${histFormatUSD(mover.y)}` : '—'}</div>
+        </div>
+      `;
+    }).join('')
+    : '<div class="muted small">None in this range.</div>');
+  const mints = total.filter(p => p.y > 0).sort((a, b) => b.y - a.y).slice(0, HIST_FLOW_TABLE_ROWS);
+  const burns = total.filter(p => p.y < 0).sort((a, b) => a.y - b.y).slice(0, HIST_FLOW_TABLE_ROWS);
+  const head = '<div class="flow-row header"><div>Date</div><div>Net</div><div>Largest chain move</div></div>';
+  el.innerHTML = `
+    <div>
+      <div class="hist-card-label">Largest mint ${period}</div>
+      ${head}${rowsHTML(mints, 1)}
+    </div>
+    <div>
+      <div class="hist-card-label">Largest burn ${period}</div>
+      ${head}${rowsHTML(burns, -1)}
+    </div>
+  `;
+}
+
+// Chains within the asset on screen: current from the last point, history over the range
+function histRenderConcentration(bounds) {
+  const card = document.getElementById('histConcCard');
+  if (card) card.classList.toggle('hidden', histCompare.enabled);
+  if (histCompare.enabled) return;
+  const panel = CONC_PANELS.hist;
+  const src = HIST_chainSource;
+  if (!src || !bounds) {
+    panel.current = null;
+    panel.history = [];
+  } else {
+    const chains = Object.keys(src.chainToUnified);
+    const points = src.allDates.map((x, i) => ({
+      x,
+      ...concentrationOf(chains.map(ch => src.chainToUnified[ch][i]?.v || 0))
+    })).filter(p => p.hhi != null);
+    panel.current = points.length ? points[points.length - 1] : null;
+    panel.history = applyRangeToPoints(points, HIST_RANGE, bounds);
+  }
+  setupConcentrationControls();
+  renderConcentration('hist');
+}
+
+function setupHistFlowControls() {
+  document.querySelectorAll('#histFlowModes [data-flow]').forEach(btn => {
+    if (btn.hasEventListener) return;
+    btn.addEventListener('click', () => {
+      histFlows.view = btn.dataset.flow;
+      histSyncFlowControls();
+      histRenderCharts();
+      syncRoute();
+    });
+    btn.hasEventListener = true;
+  });
+  histSyncFlowControls();
+}
+
+function histSyncFlowControls() {
+  document.querySelectorAll('#histFlowModes [data-flow]').forEach(b => b.classList.toggle('active', b.dataset.flow === histFlows.view));
+}
+
 async function initHistorical() {
   if (historicalInitDone) return;
   historicalInitDone = true;
@@ -1221,83 +4539,818 @@ async function initHistorical() {
   if (search) search.addEventListener('input', (e) => histFilterAssets(e.target.value));
   try {
     histSetStatus('Loading stablecoin list…');
-    const data = await histFetchJSON(HIST_API_LIST);
-    HIST_allAssets = (data.peggedAssets || [])
-      .map(a => ({ id: a.id, name: a.name, symbol: a.symbol, circulating: a.circulating }))
-      .sort((x, y) => (y.circulating?.peggedUSD || 0) - (x.circulating?.peggedUSD || 0));
-    HIST_filteredAssets = HIST_allAssets;
+    const { data, fetchedAt } = await DATA.getStablecoins();
+    HIST_allAssets = histSortAssets(data);
+    HIST_listFetchedAt = fetchedAt;
+    histSetupPegFilter();
+    HIST_filteredAssets = pinWatched(HIST_allAssets);
     histRenderAssetList();
     histSetStatus('');
-    // Auto-select USDT (Tether) by default
+    // Deep-linked asset wins over the default
+    const linked = HIST_pendingAssetId != null
+      ? HIST_allAssets.find(asset => String(asset.id) === String(HIST_pendingAssetId))
+      : null;
+    // Otherwise the first coin starred, then USDT (Tether), then the largest coin
+    const watchedAsset = WATCHLIST.map(id => HIST_allAssets.find(asset => String(asset.id) === id)).find(Boolean);
     const usdtAsset = HIST_allAssets.find(asset => 
       asset.symbol === 'USDT' || 
       asset.name.toLowerCase().includes('tether') ||
       asset.name.toLowerCase().includes('usdt')
     );
-    if (usdtAsset) {
-      histSelectAsset(usdtAsset);
-    } else if (HIST_allAssets.length) {
-      // Fallback to first asset if USDT not found
-      histSelectAsset(HIST_allAssets[0]);
+    const initial = linked || watchedAsset || usdtAsset || HIST_allAssets[0];
+    setupHistCompareControls();
+    setupHistFlowControls();
+    setupRangeControls(document.getElementById('histRangeControls'), HIST_RANGE, onHistRangeChange);
+    if (histCompare.enabled) {
+      // Deep-linked comparison: remember the single asset for when compare is closed
+      if (initial) HIST_currentAssetId = initial.id;
+      histMarkSelected();
+      histRenderComparison();
+    } else if (initial) {
+      histSelectAsset(initial, { push: false });
     }
+    historicalReady = true;
   } catch (e) {
     console.error(e);
     histSetStatus('Failed to load stablecoin list. ' + e.message, 'error');
   }
 }
 
-async function histSelectAsset(asset) {
+async function histSelectAsset(asset, { push = true, quiet = false } = {}) {
+  HIST_currentAssetId = asset.id;
+  HIST_pendingAssetId = null;
+  syncRoute({ push });
+  histMarkSelected();
   try {
     histEnsureCharts();
-    histSetStatus(`Loading ${asset.name}…`);
+    if (!quiet) histSetStatus(`Loading ${asset.name}…`);
     const nameEl = document.getElementById('histAssetName');
     const symEl = document.getElementById('histAssetSymbol');
     const circEl = document.getElementById('histCurrentCirc');
     const chainCountEl = document.getElementById('histChainCount');
     if (nameEl) nameEl.textContent = asset.name;
     if (symEl) symEl.textContent = asset.symbol ? `(${asset.symbol})` : '';
-    const data = await histFetchJSON(HIST_API_ASSET(asset.id));
+    const res = await histFetchAsset(asset.id);
+    const { data } = res;
+    if (String(HIST_currentAssetId) !== String(asset.id) || histCompare.enabled) return; // a newer selection won
+    HIST_shownSig = String(res.fetchedAt);
+    stampUpdated('hist', res);
 
-    const currentCircUsd = asset.circulating?.peggedUSD ?? null;
-    if (circEl) circEl.textContent = histFormatUSD(currentCircUsd);
-    const chainCount = Object.keys(data.chainBalances || {}).length;
+    if (circEl) {
+      if (asset.pegCurrency && asset.pegCurrency !== 'USD') circEl.innerHTML = nativeAmountHTML(asset, asset.mcap, asset.native?.mcap);
+      else circEl.textContent = histFormatUSD(asset.mcap);
+    }
+    const chainCount = Object.keys(data.chainSeries).length;
     if (chainCountEl) chainCountEl.textContent = String(chainCount);
 
-    const { allDates, chainToUnified } = histBuildTimeIndex(data.chainBalances || {});
+    const { allDates, chainToUnified } = histBuildTimeIndex(data.chainSeries);
     if (!allDates.length) {
       histSetStatus('No historical data available for this asset.', 'error');
-      if (HIST_marketCapChart) { HIST_marketCapChart.data.datasets = []; HIST_marketCapChart.update(); }
-      if (HIST_stackedChart) { HIST_stackedChart.data.datasets = []; HIST_stackedChart.update(); }
+      HIST_raw = { market: [], stacked: [] };
+      HIST_chainSource = null;
+      histRenderCharts();
       return;
     }
     const totalSeries = histBuildTotalSeries(chainToUnified, allDates);
     const topChains = histComputeTopChains(chainToUnified, allDates, 8);
+    HIST_chainSource = { allDates, chainToUnified, topChains };
     const stackedDatasets = histBuildDatasets(chainToUnified, allDates, topChains);
 
     if (HIST_marketCapChart) {
-      HIST_marketCapChart.data = {
-        datasets: [{
-          label: 'Market Cap (USD)',
-          data: totalSeries,
-          borderColor: '#3ea6ff',
-          backgroundColor: '#3ea6ff33',
-          fill: false,
-          tension: 0.2,
-          pointRadius: 0,
-          borderWidth: 2
-        }]
-      };
-      HIST_marketCapChart.update();
+      histSetValueAxis('usd');
+      HIST_marketCapChart.options.plugins.legend.display = false;
+    }
+    HIST_raw = {
+      market: [{
+        label: 'Market Cap (USD)',
+        data: totalSeries,
+        borderColor: '#3ea6ff',
+        backgroundColor: '#3ea6ff33',
+        fill: false,
+        tension: 0.2,
+        pointRadius: 0,
+        borderWidth: 2
+      }],
+      stacked: stackedDatasets
+    };
+    histRenderCharts();
+
+    // Histories come in the peg currency; say how they were converted
+    histSetStatus(asset.pegCurrency && asset.pegCurrency !== 'USD'
+      ? (asset.fxRate ? `${asset.pegCurrency} amounts converted to USD at today's rate (${fxRateLabel(asset)}).` : `No ${asset.pegCurrency} FX rate available; USD values show as 0.`)
+      : '');
+  } catch (e) {
+    console.error(e);
+    histSetStatus('Failed to load asset data. ' + e.message, 'error');
+  }
+}
+
+// Re-render in place when the list or the histories on screen changed
+async function refreshHistorical() {
+  const { data, fetchedAt } = await DATA.getStablecoins();
+  const listChanged = fetchedAt !== HIST_listFetchedAt;
+  if (listChanged) {
+    HIST_listFetchedAt = fetchedAt;
+    HIST_allAssets = histSortAssets(data);
+    histSetupPegFilter();
+    histFilterAssets(document.getElementById('histSearch')?.value);
+  }
+  const ids = histCompare.enabled ? [...histCompare.ids] : [String(HIST_currentAssetId)];
+  if (!ids.length || ids[0] === 'null') return;
+  const payloads = await Promise.all(ids.map(id => histFetchAsset(id)));
+  stampUpdated('hist', ...payloads);
+  const sig = payloads.map(p => p.fetchedAt).join();
+  if (!listChanged && sig === HIST_shownSig) return;
+  if (histCompare.enabled) {
+    await histRenderComparison();
+  } else {
+    const asset = HIST_allAssets.find(a => String(a.id) === ids[0]);
+    if (asset) await histSelectAsset(asset, { push: false, quiet: true });
+  }
+}
+
+// ===============================
+// YIELDS TAB (yields.llama.fi pools)
+// ===============================
+
+// Matched per symbol token (tokenizeSymbol splits on punctuation), so bridged
+// variants like USDC.e are caught by their base symbol
+const YIELD_STABLES = new Set([
+  'USDT','USDC','DAI','TUSD','FDUSD','USDP','FRAX','LUSD','PYUSD','USDD','GUSD',
+  'CRVUSD','SUSD','GHO','MIM','DOLA','USD0','USDM','EUSD','MKUSD','USDBC',
+  'USDE','SUSDE','RLUSD','USDS','USD1'
+]);
+const YIELD_MIN_TVL_OPTIONS = [0, 100_000, 1_000_000, 10_000_000, 100_000_000];
+
+let YIELD_POOLS = [];
+let YIELD_VISIBLE_ROWS = []; // rows currently rendered, in display order (for export)
+let yieldsInitDone = false;
+let yieldsReady = false;
+let YIELD_FETCHED_AT = null;
+let yieldCursor = 0;
+const yieldState = {
+  view: 'pools',     // 'pools' | 'projects'
+  stable: 'all',
+  chain: 'all',
+  minTvl: 1_000_000,
+  apyMin: null,
+  apyMax: null,
+  sortKey: 'tvl',
+  sortDir: 'desc'
+};
+
+function tokenizeSymbol(sym) {
+  return String(sym || '').toUpperCase().split(/[^A-Z0-9]+/g).filter(Boolean);
+}
+
+// Stables a pool holds: whole symbol tokens only, so the stable filter and the
+// pool list agree on what counts (no "USDC" hit inside "AUSDCX")
+function poolStables(p) {
+  return tokenizeSymbol(p.symbol).filter(t => YIELD_STABLES.has(t));
+}
+
+// Stablecoin pools from the provider, tagged with the stables they hold
+async function fetchStablecoinPools() {
+  const res = await DATA.getPools();
+  const data = res.data
+    .map(p => ({ ...p, stables: poolStables(p) }))
+    .filter(p => p.stables.length > 0);
+  return { ...res, data };
+}
+
+// Roll pools up per project: total TVL, pool count, chains and TVL-weighted APY
+function aggregatePoolsByProject(pools) {
+  const byProject = new Map();
+  for (const r of pools) {
+    if (!r.project) continue;
+    const agg = byProject.get(r.project) || { project: r.project, tvl: 0, pools: 0, apyTvl: 0, chains: new Set() };
+    agg.tvl += r.tvl;
+    agg.pools += 1;
+    agg.apyTvl += (r.apy || 0) * r.tvl;
+    agg.chains.add(r.chain);
+    byProject.set(r.project, agg);
+  }
+  return Array.from(byProject.values())
+    .map(a => ({
+      project: a.project,
+      tvl: a.tvl,
+      pools: a.pools,
+      apy: a.tvl > 0 ? a.apyTvl / a.tvl : 0,
+      chains: Array.from(a.chains).sort()
+    }))
+    .sort((a, b) => b.tvl - a.tvl);
+}
+
+async function initYields() {
+  if (yieldsInitDone) return;
+  yieldsInitDone = true;
+  const statusEl = document.getElementById('yieldStatus');
+  try {
+    if (statusEl) statusEl.textContent = 'Loading pools…';
+    const res = await fetchStablecoinPools();
+    YIELD_POOLS = res.data;
+    YIELD_FETCHED_AT = res.fetchedAt;
+    if (statusEl) statusEl.textContent = '';
+    stampUpdated('yields', res);
+    setupYieldControls();
+    renderYields(true);
+    yieldsReady = true;
+  } catch (e) {
+    console.error(e);
+    yieldsInitDone = false;
+    if (statusEl) statusEl.textContent = 'Failed to load yield pools. ' + e.message;
+  }
+}
+
+async function refreshYields() {
+  const res = await fetchStablecoinPools();
+  stampUpdated('yields', res);
+  if (res.fetchedAt === YIELD_FETCHED_AT) return;
+  YIELD_POOLS = res.data;
+  YIELD_FETCHED_AT = res.fetchedAt;
+  rerenderPaged(renderYields, () => yieldCursor);
+}
+
+function setupYieldControls() {
+  const stableSel = document.getElementById('yieldStable');
+  const chainSel = document.getElementById('yieldChain');
+  const tvlSel = document.getElementById('yieldMinTvl');
+  const apyMinEl = document.getElementById('yieldApyMin');
+  const apyMaxEl = document.getElementById('yieldApyMax');
+
+  // Options are derived from the pools actually present
+  const stables = [...new Set(YIELD_POOLS.flatMap(p => p.stables))].sort();
+  const chainTvl = new Map();
+  YIELD_POOLS.forEach(p => chainTvl.set(p.chain, (chainTvl.get(p.chain) || 0) + p.tvl));
+  const chains = [...chainTvl.entries()].sort((a, b) => b[1] - a[1]).map(e => e[0]);
+
+  if (stableSel) {
+    stableSel.innerHTML = '<option value="all">All stablecoins</option>' +
+      stables.map(s => `<option value="${s}">${s}</option>`).join('');
+    stableSel.value = yieldState.stable;
+    stableSel.onchange = () => { yieldState.stable = stableSel.value; renderYields(true); syncRoute(); };
+  }
+  if (chainSel) {
+    chainSel.innerHTML = '<option value="all">All chains</option>' +
+      chains.map(c => `<option value="${c}">${c}</option>`).join('');
+    chainSel.value = yieldState.chain;
+    chainSel.onchange = () => { yieldState.chain = chainSel.value; renderYields(true); syncRoute(); };
+  }
+  if (tvlSel) {
+    tvlSel.innerHTML = YIELD_MIN_TVL_OPTIONS.map(v =>
+      `<option value="${v}">${v ? `TVL ≥ ${formatUSD(v)}` : 'Any TVL'}</option>`
+    ).join('');
+    tvlSel.value = String(yieldState.minTvl);
+    tvlSel.onchange = () => { yieldState.minTvl = Number(tvlSel.value); renderYields(true); syncRoute(); };
+  }
+  const readApy = (el) => (el && el.value !== '' && !isNaN(Number(el.value)) ? Number(el.value) : null);
+  const onApy = debounce(() => {
+    yieldState.apyMin = readApy(apyMinEl);
+    yieldState.apyMax = readApy(apyMaxEl);
+    renderYields(true);
+    syncRoute();
+  }, 300);
+  if (apyMinEl) apyMinEl.addEventListener('input', onApy);
+  if (apyMaxEl) apyMaxEl.addEventListener('input', onApy);
+
+  document.querySelectorAll('#yieldViewToggle [data-view]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      yieldState.view = btn.dataset.view;
+      yieldState.sortKey = 'tvl';
+      yieldState.sortDir = 'desc';
+      renderYields(true);
+      syncRoute();
+    });
+  });
+
+  const loadBtn = document.getElementById('yieldLoadMore');
+  if (loadBtn) loadBtn.addEventListener('click', () => renderYields(false));
+  syncYieldControls();
+}
+
+// Reflect yieldState in the controls (used when state comes from the URL)
+function syncYieldControls() {
+  const setVal = (id, v) => {
+    const el = document.getElementById(id);
+    if (el) el.value = v == null ? '' : String(v);
+  };
+  setVal('yieldStable', yieldState.stable);
+  setVal('yieldChain', yieldState.chain);
+  setVal('yieldMinTvl', yieldState.minTvl);
+  setVal('yieldApyMin', yieldState.apyMin);
+  setVal('yieldApyMax', yieldState.apyMax);
+}
+
+function filterYieldPools() {
+  const { stable, chain, minTvl, apyMin, apyMax } = yieldState;
+  return YIELD_POOLS.filter(p =>
+    (stable === 'all' || p.stables.includes(stable)) &&
+    (chain === 'all' || p.chain === chain) &&
+    p.tvl >= minTvl &&
+    (apyMin == null || p.apy >= apyMin) &&
+    (apyMax == null || p.apy <= apyMax)
+  );
+}
+
+function sortYieldRows(rows) {
+  return [...rows].sort(compareBy(yieldState.sortKey, yieldState.sortDir));
+}
+
+const YIELD_COLUMNS = {
+  pools: [
+    { key: 'symbol', label: 'Pool' },
+    { key: 'project', label: 'Project' },
+    { key: 'chain', label: 'Chain' },
+    { key: 'tvl', label: 'TVL' },
+    { key: 'apy', label: 'APY' },
+    { key: 'apyBase', label: 'Base' },
+    { key: 'apyReward', label: 'Reward' }
+  ],
+  projects: [
+    { key: 'project', label: 'Project' },
+    { key: 'pools', label: 'Pools' },
+    { key: 'chains', label: 'Chains', sortable: false },
+    { key: 'tvl', label: 'TVL' },
+    { key: 'apy', label: 'TVL-weighted APY' }
+  ]
+};
+
+function yieldCellsHTML(r, view) {
+  if (view === 'projects') {
+    const chainBadges = r.chains.slice(0, 3).map(ch => `<span class="badge">${ch}</span>`).join(' ') +
+      (r.chains.length > 3 ? ` <span class="muted small">+${r.chains.length - 3}</span>` : '');
+    return `
+      <div><strong>${r.project}</strong></div>
+      <div>${r.pools}</div>
+      <div>${chainBadges}</div>
+      <div>${formatUSD(r.tvl)}</div>
+      <div>${fmtPct(r.apy)}</div>
+    `;
+  }
+  return `
+    <div><strong>${r.symbol}</strong></div>
+    <div>${r.project}</div>
+    <div>${r.chain}</div>
+    <div>${formatUSD(r.tvl)}</div>
+    <div><strong>${fmtPct(r.apy)}</strong></div>
+    <div>${fmtPct(r.apyBase)}</div>
+    <div>${fmtPct(r.apyReward)}</div>
+  `;
+}
+
+// Render the pools (or per-project) table; reset=true starts from the first page
+function renderYields(reset) {
+  const tableEl = document.getElementById('yieldTable');
+  const loadBtn = document.getElementById('yieldLoadMore');
+  const summaryEl = document.getElementById('yieldSummary');
+  if (!tableEl) return;
+  const view = yieldState.view;
+  const columns = YIELD_COLUMNS[view];
+
+  const filtered = filterYieldPools();
+  const rows = sortYieldRows(view === 'projects' ? aggregatePoolsByProject(filtered) : filtered);
+
+  if (summaryEl) {
+    const totalTvl = filtered.reduce((s, p) => s + p.tvl, 0);
+    summaryEl.textContent = `${filtered.length} pools · ${formatUSD(totalTvl)} TVL`;
+  }
+  document.querySelectorAll('#yieldViewToggle [data-view]').forEach(btn =>
+    btn.classList.toggle('active', btn.dataset.view === view)
+  );
+
+  if (reset) {
+    yieldCursor = 0;
+    tableEl.className = `yield-table ${view}`;
+    tableEl.innerHTML = `<div class="yrow header">${sortableHeaderHTML(columns, yieldState.sortKey, yieldState.sortDir)}</div>`;
+    bindSortableHeader(tableEl, yieldState, ['symbol', 'project', 'chain'], () => { renderYields(true); syncRoute(); });
+  }
+
+  const slice = rows.slice(yieldCursor, yieldCursor + PAGE_SIZE);
+  if (reset && slice.length === 0) {
+    tableEl.insertAdjacentHTML('beforeend', '<div class="yrow"><div class="muted">No pools match these filters</div></div>');
+  }
+  tableEl.insertAdjacentHTML('beforeend', slice.map(r => `<div class="yrow">${yieldCellsHTML(r, view)}</div>`).join(''));
+  yieldCursor += slice.length;
+  YIELD_VISIBLE_ROWS = rows.slice(0, yieldCursor);
+
+  if (loadBtn) {
+    const done = yieldCursor >= rows.length;
+    loadBtn.disabled = done;
+    loadBtn.textContent = done ? 'All loaded' : 'Load more';
+  }
+}
+
+// ===============================
+// CHAINS TAB (chain totals + per-asset chain supply)
+// ===============================
+
+let CHAIN_ROWS = [];
+let CHAIN_historyChart = null;
+let chainsInitDone = false;
+let chainsReady = false;
+let CHAIN_SIG = null; // fetchedAt of the snapshot on screen
+let CHAIN_HISTORY_SIG = null; // chain + fetchedAt of the history on screen
+const chainState = { sortKey: 'supply', sortDir: 'desc', selected: null };
+
+const CHAIN_COLUMNS = [
+  { key: 'name', label: 'Chain' },
+  { key: 'supply', label: 'Stablecoin Supply' },
+  { key: 'dayChange', label: '1d' },
+  { key: 'weekChange', label: '7d' },
+  { key: 'monthChange', label: '30d' },
+  { key: 'dominant', label: 'Top Coin', sortable: false }
+];
+
+// Rebuild per-chain totals and composition from each asset's chain supply
+// Supply and its changes both come from the coins' per-chain amounts, so a row's
+// figures always agree with each other
+function buildChainRows(assets) {
+  const byChain = new Map();
+  for (const c of assets) {
+    for (const [chain, v] of Object.entries(c.chainSupply)) {
+      const amount = v.current;
+      if (amount <= 0) continue;
+      const agg = byChain.get(chain) || { name: chain, current: 0, prevDay: 0, prevWeek: 0, prevMonth: 0, coins: [] };
+      agg.current += amount;
+      agg.prevDay += v.prevDay;
+      agg.prevWeek += v.prevWeek;
+      agg.prevMonth += v.prevMonth;
+      agg.coins.push({ id: c.id, symbol: c.symbol, name: c.name, amount });
+      byChain.set(chain, agg);
     }
+  }
+
+  const pctChange = (cur, prev) => (prev > 0 ? (cur - prev) / prev * 100 : null);
+  return Array.from(byChain.values()).map(a => {
+    a.coins.sort((x, y) => y.amount - x.amount);
+    return {
+      name: a.name,
+      supply: a.current,
+      dayChange: pctChange(a.current, a.prevDay),
+      weekChange: pctChange(a.current, a.prevWeek),
+      monthChange: pctChange(a.current, a.prevMonth),
+      weekDelta: a.prevWeek > 0 ? a.current - a.prevWeek : null,
+      monthDelta: a.prevMonth > 0 ? a.current - a.prevMonth : null,
+      coins: a.coins,
+      dominant: a.coins[0] ? a.coins[0].symbol : '—',
+      dominantShare: a.coins[0] && a.current > 0 ? a.coins[0].amount / a.current * 100 : null
+    };
+  }).filter(r => r.supply > 0);
+}
+
+// Returns true when the rows differ from what is on screen
+async function loadChainRows() {
+  const coins = await DATA.getStablecoins();
+  const sig = String(coins.fetchedAt);
+  stampUpdated('chainsTable', coins);
+  if (sig === CHAIN_SIG) return false;
+  CHAIN_ROWS = buildChainRows(coins.data);
+  CHAIN_SIG = sig;
+  return true;
+}
+
+async function refreshChains() {
+  const rowsChanged = await loadChainRows();
+  if (rowsChanged) renderChainTable();
+  const name = chainState.selected;
+  if (!name) return;
+  const res = await DATA.getChainHistory(name).catch(() => null);
+  stampUpdated('chainDetail', res);
+  if (rowsChanged || `${name}|${res ? res.fetchedAt : null}` !== CHAIN_HISTORY_SIG) await selectChain(name, { push: false });
+}
+
+async function initChains() {
+  if (chainsInitDone) return;
+  chainsInitDone = true;
+  const statusEl = document.getElementById('chainStatus');
+  try {
+    if (statusEl) statusEl.textContent = 'Loading chains…';
+    await loadChainRows();
+    if (statusEl) statusEl.textContent = '';
+    renderChainTable();
+    // Deep-linked chain wins over the largest one
+    const linked = chainState.selected && CHAIN_ROWS.find(r => r.name === chainState.selected);
+    const first = linked || [...CHAIN_ROWS].sort(compareBy('supply'))[0];
+    if (first) selectChain(first.name, { push: false });
+    chainsReady = true;
+  } catch (e) {
+    console.error(e);
+    chainsInitDone = false;
+    if (statusEl) statusEl.textContent = 'Failed to load chain data. ' + e.message;
+  }
+}
+
+function renderChainTable() {
+  const tableEl = document.getElementById('chainTable');
+  if (!tableEl) return;
+  const total = CHAIN_ROWS.reduce((s, r) => s + r.supply, 0);
+  const rows = [...CHAIN_ROWS].sort(compareBy(chainState.sortKey, chainState.sortDir));
+
+  tableEl.innerHTML = `<div class="crow header">${sortableHeaderHTML(CHAIN_COLUMNS, chainState.sortKey, chainState.sortDir)}</div>` +
+    rows.map(r => `
+      <div class="crow clickable ${chainState.selected === r.name ? 'selected' : ''}" data-chain="${r.name}">
+        <div><strong>${r.name}</strong></div>
+        <div>${formatUSD(r.supply)} <span class="muted small">${fmtPct(total > 0 ? r.supply / total * 100 : null, 1)}</span></div>
+        <div>${fmtChange(r.dayChange)}</div>
+        <div>${fmtChange(r.weekChange)}</div>
+        <div>${fmtChange(r.monthChange)}</div>
+        <div>${r.dominant} <span class="muted small">${fmtPct(r.dominantShare, 0)}</span></div>
+      </div>
+    `).join('');
+
+  bindSortableHeader(tableEl, chainState, ['name'], () => { renderChainTable(); syncRoute(); });
+  tableEl.querySelectorAll('.crow[data-chain]').forEach(el => {
+    el.addEventListener('click', () => selectChain(el.dataset.chain));
+  });
+  const countEl = document.getElementById('chainCount');
+  if (countEl) countEl.textContent = `${CHAIN_ROWS.length} chains · ${formatUSD(total)}`;
+}
+
+async function selectChain(name, { push = true } = {}) {
+  const row = CHAIN_ROWS.find(r => r.name === name);
+  if (!row) return;
+  chainState.selected = name;
+  syncRoute({ push });
+  document.querySelectorAll('#chainTable .crow[data-chain]').forEach(el =>
+    el.classList.toggle('selected', el.dataset.chain === name)
+  );
+
+  const titleEl = document.getElementById('chainDetailName');
+  const supplyEl = document.getElementById('chainDetailSupply');
+  const compEl = document.getElementById('chainComposition');
+  if (titleEl) titleEl.textContent = name;
+  if (supplyEl) supplyEl.textContent = `${formatUSD(row.supply)} across ${row.coins.length} stablecoins`;
+  if (compEl) compEl.innerHTML = compositionHTML(row.coins);
+
+  await renderChainHistory(name);
+}
+
+// Share bars for a chain's coins ({ symbol, name, amount }, largest first)
+function compositionHTML(coins, limit = 10) {
+  const sum = coins.reduce((s, c) => s + c.amount, 0);
+  return coins.slice(0, limit).map(c => {
+    const share = sum > 0 ? c.amount / sum * 100 : 0;
+    return `
+        <div class="comp-item">
+          <div class="comp-label"><strong>${c.symbol}</strong> <span class="muted small">${c.name}</span></div>
+          <div class="comp-bar"><span style="width:${share.toFixed(2)}%"></span></div>
+          <div class="comp-value">${formatUSD(c.amount)} <span class="muted small">${fmtPct(share, 1)}</span></div>
+        </div>
+      `;
+  }).join('') + (coins.length > limit ? `<div class="muted small">+${coins.length - limit} more</div>` : '');
+}
+
+// Total stablecoin supply on one chain over time
+async function renderChainHistory(name) {
+  if (!window.Chart) return;
+  const canvas = document.getElementById('chainHistoryChart');
+  if (!canvas) return;
+  let series = [];
+  let res = null;
+  try {
+    res = await DATA.getChainHistory(name);
+    series = res.data;
+  } catch (e) {
+    console.warn('Chain history unavailable for', name, e);
+  }
+  if (chainState.selected !== name) return; // a newer selection won
+  CHAIN_HISTORY_SIG = `${name}|${res ? res.fetchedAt : null}`;
+  stampUpdated('chainDetail', res);
+
+  if (!CHAIN_historyChart) {
+    CHAIN_historyChart = new Chart(canvas, {
+      type: 'line',
+      data: { datasets: [] },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: { legend: { display: false }, tooltip: { callbacks: { label: (ctx) => formatUSD(ctx.parsed.y) } } },
+        scales: {
+          x: { type: 'time', time: { unit: 'month' }, grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)' } },
+          y: { grid: { color: '#1c2634' }, ticks: { color: 'rgba(255,255,255,0.7)', callback: (v) => formatUSD(v) } }
+        }
+      }
+    });
+  }
+  CHAIN_historyChart.data = {
+    datasets: [{
+      label: `${name} stablecoin supply`,
+      data: series,
+      borderColor: '#4ade80',
+      backgroundColor: 'rgba(74, 222, 128, 0.1)',
+      fill: true,
+      tension: 0.2,
+      pointRadius: 0,
+      borderWidth: 2
+    }]
+  };
+  CHAIN_historyChart.update();
+}
+
+// -----------------------------
+// Historical: multi-asset comparison
+// -----------------------------
+
+function histMarkSelected() {
+  document.querySelectorAll('#histAssetList .hist-asset').forEach((el, i) => {
+    const a = HIST_filteredAssets[i];
+    if (!a) return;
+    const selected = histCompare.enabled
+      ? histCompare.ids.includes(String(a.id))
+      : String(a.id) === String(HIST_currentAssetId);
+    el.classList.toggle('selected', selected);
+    el.classList.toggle('compare', histCompare.enabled);
+  });
+  document.querySelectorAll('#histMobileSelect option[data-label]').forEach(opt => {
+    opt.textContent = (histCompare.enabled && histCompare.ids.includes(opt.value) ? '✓ ' : '') + opt.dataset.label;
+  });
+}
+
+// Axis/tooltip formatting for the market cap chart per value mode
+function histSetValueAxis(mode) {
+  if (!HIST_marketCapChart) return;
+  const fmt = mode === 'index'
+    ? (v) => Number(v).toFixed(1)
+    : (mode === 'share' ? (v) => fmtPct(Number(v), 1) : (v) => histFormatUSD(v));
+  HIST_marketCapChart.options.scales.y.ticks.callback = fmt;
+  HIST_marketCapChart.options.plugins.tooltip.callbacks.label = (ctx) =>
+    (histCompare.enabled ? `${ctx.dataset.label}: ` : '') + fmt(ctx.parsed.y);
+}
+
+function histSetCompareEnabled(enabled) {
+  histCompare.enabled = enabled;
+  if (enabled && !histCompare.ids.length && HIST_currentAssetId != null) {
+    histCompare.ids = [String(HIST_currentAssetId)];
+  }
+  histSyncCompareControls();
+  histRenderAssetList(); // the mobile select gains or drops its compare placeholder
+  if (enabled) {
+    histRenderComparison();
+  } else {
+    const a = HIST_allAssets.find(x => String(x.id) === String(HIST_currentAssetId)) || HIST_allAssets[0];
+    if (a) histSelectAsset(a, { push: false });
+  }
+  syncRoute({ push: true });
+}
+
+function histToggleCompareAsset(asset) {
+  const id = String(asset.id);
+  if (histCompare.ids.includes(id)) {
+    histCompare.ids = histCompare.ids.filter(x => x !== id);
+  } else if (histCompare.ids.length < HIST_COMPARE_MAX) {
+    histCompare.ids = [...histCompare.ids, id];
+  } else {
+    histSetStatus(`Compare up to ${HIST_COMPARE_MAX} stablecoins at a time.`, 'error');
+    return;
+  }
+  histMarkSelected();
+  histRenderComparison();
+  syncRoute();
+}
+
+function histSyncCompareControls() {
+  const toggle = document.getElementById('histCompareToggle');
+  const modeBox = document.getElementById('histCompareModes');
+  const startEl = document.getElementById('histCompareStart');
+  const stackedCard = document.getElementById('histStackedCard');
+  if (toggle) {
+    toggle.classList.toggle('active', histCompare.enabled);
+    toggle.textContent = histCompare.enabled ? 'Exit compare' : 'Compare';
+  }
+  if (modeBox) {
+    modeBox.classList.toggle('hidden', !histCompare.enabled);
+    modeBox.querySelectorAll('[data-mode]').forEach(b => b.classList.toggle('active', b.dataset.mode === histCompare.mode));
+  }
+  if (startEl) {
+    startEl.classList.toggle('hidden', !histCompare.enabled || histCompare.mode !== 'index');
+    startEl.value = histCompare.start || '';
+  }
+  if (stackedCard) stackedCard.classList.toggle('hidden', histCompare.enabled);
+  document.getElementById('histFlowsCard')?.classList.toggle('hidden', histCompare.enabled);
+  document.getElementById('histConcCard')?.classList.toggle('hidden', histCompare.enabled);
+}
+
+function setupHistCompareControls() {
+  const toggle = document.getElementById('histCompareToggle');
+  if (toggle && !toggle.hasEventListener) {
+    toggle.addEventListener('click', () => histSetCompareEnabled(!histCompare.enabled));
+    toggle.hasEventListener = true;
+  }
+  document.querySelectorAll('#histCompareModes [data-mode]').forEach(btn => {
+    if (btn.hasEventListener) return;
+    btn.addEventListener('click', () => {
+      histCompare.mode = btn.dataset.mode;
+      histSyncCompareControls();
+      histRenderComparison();
+      syncRoute();
+    });
+    btn.hasEventListener = true;
+  });
+  const startEl = document.getElementById('histCompareStart');
+  if (startEl && !startEl.hasEventListener) {
+    startEl.addEventListener('change', () => {
+      histCompare.start = startEl.value || null;
+      histRenderComparison();
+      syncRoute();
+    });
+    startEl.hasEventListener = true;
+  }
+  histSyncCompareControls();
+}
+
+// Turn aligned USD series into the selected mode's values
+function histTransformCompare(ids, chainToUnified, allDates, mode, startMs) {
+  if (mode === 'share') {
+    return ids.map(id => chainToUnified[id].map((p, i) => {
+      let sum = 0;
+      for (const other of ids) sum += chainToUnified[other][i]?.v || 0;
+      return sum > 0 ? { x: p.t, y: p.v / sum * 100 } : null;
+    }).filter(Boolean));
+  }
+  if (mode === 'index') {
+    return ids.map(id => {
+      const series = chainToUnified[id].filter(p => p.t >= startMs);
+      const base = series.find(p => p.v > 0);
+      if (!base) return [];
+      return series.filter(p => p.t >= base.t).map(p => ({ x: p.t, y: p.v / base.v * 100 }));
+    });
+  }
+  return ids.map(id => chainToUnified[id].filter(p => p.v > 0).map(p => ({ x: p.t, y: p.v })));
+}
+
+async function histRenderComparison() {
+  if (!histCompare.enabled) return;
+  histEnsureCharts();
+  const ids = [...histCompare.ids];
+  const assets = ids.map(id => HIST_allAssets.find(a => String(a.id) === id)).filter(Boolean);
+  const nameEl = document.getElementById('histAssetName');
+  const symEl = document.getElementById('histAssetSymbol');
+  const circEl = document.getElementById('histCurrentCirc');
+  const chainCountEl = document.getElementById('histChainCount');
+  if (nameEl) nameEl.textContent = assets.length ? `Comparing ${assets.length} stablecoin${assets.length === 1 ? '' : 's'}` : 'Pick stablecoins to compare';
+  if (symEl) symEl.textContent = assets.map(a => a.symbol).join(' · ');
+  if (circEl) circEl.textContent = histFormatUSD(assets.reduce((s, a) => s + a.mcap, 0));
+
+  if (!assets.length) {
+    if (chainCountEl) chainCountEl.textContent = '—';
+    HIST_raw = { ...HIST_raw, market: [] };
+    histRenderCharts();
+    histSetStatus('Select stablecoins in the sidebar to overlay them.');
+    return;
+  }
 
-    if (HIST_stackedChart) {
-      HIST_stackedChart.data = { datasets: stackedDatasets };
-      HIST_stackedChart.update();
+  try {
+    histSetStatus(`Loading ${assets.length} stablecoins…`);
+    const payloads = await Promise.all(assets.map(a => histFetchAsset(a.id)));
+    // Bail out if the selection changed while we were fetching
+    if (!histCompare.enabled || histCompare.ids.join() !== ids.join()) return;
+    HIST_shownSig = payloads.map(p => p.fetchedAt).join();
+    stampUpdated('hist', ...payloads);
+
+    // Reuse the chain-level alignment: each asset's total becomes one "chain"
+    const perAsset = {};
+    const chainNames = new Set();
+    assets.forEach((a, i) => {
+      const { chainSeries } = payloads[i].data;
+      Object.keys(chainSeries).forEach(c => chainNames.add(c));
+      const idx = histBuildTimeIndex(chainSeries);
+      perAsset[String(a.id)] = histBuildTotalSeries(idx.chainToUnified, idx.allDates)
+        .map(p => ({ t: p.x, v: p.y }));
+    });
+    if (chainCountEl) chainCountEl.textContent = String(chainNames.size);
+    const { allDates, chainToUnified } = histBuildTimeIndex(perAsset);
+
+    // Default index base: first date where every selected asset has supply
+    let startMs = histCompare.start ? Date.parse(histCompare.start) : NaN;
+    if (isNaN(startMs)) {
+      startMs = Math.max(...ids.map(id => (chainToUnified[id].find(p => p.v > 0) || { t: 0 }).t));
     }
 
-    histSetStatus('');
+    const seriesList = histTransformCompare(ids, chainToUnified, allDates, histCompare.mode, startMs);
+    const colors = histPrepareColors(ids.length);
+    histSetValueAxis(histCompare.mode);
+    HIST_marketCapChart.options.plugins.legend.display = true;
+    HIST_marketCapChart.options.plugins.legend.labels = { color: 'rgba(255,255,255,0.8)' };
+    HIST_raw = {
+      ...HIST_raw,
+      market: assets.map((a, i) => ({
+        label: a.symbol || a.name,
+        data: seriesList[i],
+        borderColor: colors[i],
+        backgroundColor: colors[i] + '33',
+        fill: false,
+        tension: 0.2,
+        pointRadius: 0,
+        borderWidth: 2
+      }))
+    };
+    histRenderCharts();
+    histSetStatus(histCompare.mode === 'index'
+      ? `Indexed to 100 at ${new Date(startMs).toLocaleDateString()}`
+      : '');
   } catch (e) {
     console.error(e);
-    histSetStatus('Failed to load asset data. ' + e.message, 'error');
+    histSetStatus('Failed to load comparison data. ' + e.message, 'error');
   }
 }
@@ -1,474 +0,0 @@
-// Complete ecosystem data based on the original Plasma ecosystem page
-window.ecosystemPartners = [
-    {
-        name: "USD₮0",
-        logo: "logos/usdt0.svg",
-        url: "https://usdt0.to/",
-        categories: ["stablecoins"],
-        description: "USD₮0 is an omnichain version of Tether's USD₮ stablecoin, built on LayerZero's OFT standard to enable seamless, 1:1-backed transfers across multiple blockchains without using wrapped tokens or bridges."
-    },
-    {
-        name: "Ethena",
-        logo: "logos/ethena.svg",
-        url: "https://ethena.fi/",
-        categories: ["yield"],
-        description: "Ethena is a synthetic dollar protocol that offers USDe, a fully backed, scalable crypto-native stable asset achieved through delta-hedging and liquid stablecoin reserves."
-    },
-    {
-        name: "Curve",
-        logo: "logos/curve.svg",
-        url: "https://www.curve.finance/dex/",
-        categories: ["dex"],
-        description: "Curve is a DEX and AMM specializing in low-slippage stablecoin and tokenized asset swaps across multiple blockchains."
-    },
-    {
-        name: "Euler",
-        logo: "logos/euler.svg",
-        url: "https://www.euler.finance/",
-        categories: ["dex"],
-        description: "Euler Finance is a non-custodial lending protocol enabling users to lend, borrow, and create custom ERC-20 lending markets with modular, risk-managed architecture."
-    },
-    {
-        name: "Veda",
-        logo: "logos/veda.svg",
-        url: "https://veda.tech/",
-        categories: ["yield"],
-        description: "Veda is a DeFi protocol that tokenizes complex, multi-chain yield strategies, delivering native yield through user-friendly interfaces."
-    },
-    {
-        name: "LayerZero",
-        logo: "logos/layerzero.svg",
-        url: "https://layerzero.network/",
-        categories: ["bridge"],
-        description: "LayerZero is an omnichain protocol enabling secure, efficient cross-chain data, asset, and message transfers via smart contracts."
-    },
-    {
-        name: "Yellow Card",
-        logo: "logos/yellowcard.svg",
-        url: "https://yellowcard.io/",
-        categories: ["payments"],
-        description: "Yellow Card is a pan-African fintech platform enabling users to buy, sell, and store cryptocurrencies with local currency across 20 countries, offering fast, secure transactions and a payments API."
-    },
-    {
-        name: "BiLira",
-        logo: "logos/bilira.svg",
-        url: "https://www.bilira.co/en/home",
-        categories: ["stablecoins"],
-        description: "BiLira is the issuer of TRYB, a Turkish Lira-backed stablecoin. It is also a Turkey-based exchange that enables users to buy, sell and trade crypto."
-    },
-    {
-        name: "Mansa",
-        logo: "logos/mansa.svg",
-        url: "https://www.mansafinance.co/",
-        categories: ["stablecoins"],
-        description: "Mansa enables instant, efficient cross-border payments using stablecoin-backed liquidity, transforming how money moves in emerging markets."
-    },
-    {
-        name: "Uranium Digital",
-        logo: "logos/uranium.svg",
-        url: "https://www.uraniumdigital.com/",
-        categories: ["rwa"],
-        description: "Uranium Digital is building the first crypto-powered spot trading platform for uranium, enabling instant trading, derivatives, and physical settlement for institutional clients."
-    },
-    {
-        name: "USD.AI",
-        logo: "logos/usdai.svg",
-        url: "https://usd.ai/",
-        categories: ["stablecoins"],
-        description: "USD.AI offers a yield-bearing synthetic dollar backed by AI infrastructure assets like GPUs and cell towers."
-    },
-    {
-        name: "Daylight",
-        logo: "logos/daylight.svg",
-        url: "https://godaylight.com/",
-        categories: ["yield"],
-        description: "Daylight is building a decentralized electric grid where you can save money, upgrade your energy systems, and earn valuable rewards."
-    },
-    {
-        name: "Tether Gold",
-        logo: "logos/tethergold.svg",
-        url: "https://gold.tether.to/",
-        categories: ["stablecoins", "rwa"],
-        description: "Tether Gold (XAUt) is a stablecoin that provides ownership on a 1:1 basis of one fine troy ounce of gold on a physical bar of gold."
-    },
-    {
-        name: "Axis",
-        logo: "logos/axis.svg",
-        url: "https://www.axis.to/",
-        categories: ["stablecoins", "rwa"],
-        description: "Yield bearing synthetic asset/CDP backed by multi denomination (BTC, USDT, XAUT) tokenized fund that generates yield from market neutral strategies."
-    },
-    {
-        name: "Superset",
-        logo: "logos/superset.svg",
-        url: "https://superset.finance/",
-        categories: ["stablecoins"],
-        description: "Superset unifies stablecoin liquidity across blockchains into a single omnichain pool for the deepest liquidity for swaps."
-    },
-    {
-        name: "Hadron",
-        logo: "logos/hadron.svg",
-        url: "https://hadron.tether.to/en/",
-        categories: ["rwa"],
-        description: "Hadron by Tether is an asset tokenization platform that simplifies converting assets like stocks, bonds, commodities, and loyalty points into digital tokens, offering secure, compliant tools for global liquidity."
-    },
-    {
-        name: "P2P.me",
-        logo: "logos/p2p.svg",
-        url: "https://www.p2p.me/",
-        categories: ["payments"],
-        description: "P2P.me is a decentralized protocol enabling fast, secure stablecoin-to-fiat swaps via QR payments, using zero-knowledge proofs and a reputation points system."
-    },
-    {
-        name: "ZKP2P",
-        logo: "logos/zkp2p.svg",
-        url: "https://zkp2p.xyz/",
-        categories: ["payments"],
-        description: "ZKP2P is a trustless, decentralized application for on-ramping and off-ramping in a peer-to-peer fashion."
-    },
-    {
-        name: "Levl",
-        logo: "logos/levl.svg",
-        url: "https://www.levl.ch/",
-        categories: ["payments"],
-        description: "Levl provides APIs for seamless cross-border payments, providing a unified platform for fiat currency and stablecoin payments."
-    },
-    {
-        name: "CopperX",
-        logo: "logos/copperx.svg",
-        url: "https://copperx.io/",
-        categories: ["payments"],
-        description: "CopperX is a developer-first payment gateway and payout API that lets businesses accept and send crypto or fiat with instant settlement."
-    },
-    {
-        name: "Holyheld",
-        logo: "logos/holyheld.svg",
-        url: "https://holyheld.com/",
-        categories: ["payments"],
-        description: "Holyheld is a non-custodial crypto debit-app that allows for seamless saving and spending with stablecoins."
-    },
-    {
-        name: "Infini",
-        logo: "logos/infini.svg",
-        url: "https://www.infini.money/",
-        categories: ["payments"],
-        description: "Infini is a crypto neo-bank that issues global crypto cards with yields powered by delta-neutral strategies."
-    },
-    {
-        name: "Frax",
-        logo: "logos/frax.svg",
-        url: "https://frax.com/",
-        categories: ["stablecoins"],
-        description: "Frax is a decentralized stablecoin protocol offering a suite of algorithmic and collateralized stablecoins, alongside lending, yield, and AMM services to stabilize and scale DeFi ecosystems."
-    },
-    {
-        name: "Level",
-        logo: "logos/level.svg",
-        url: "https://www.level.money/",
-        categories: ["stablecoins"],
-        description: "Level issues lvlUSD, a yield-bearing stablecoin fully backed by USDC and USDT, which generates DeFi-native yield through lending protocols for transparent, high-yield returns."
-    },
-    {
-        name: "Superform",
-        logo: "logos/superform.svg",
-        url: "https://www.superform.xyz/",
-        categories: ["yield"],
-        description: "Superform is a decentralized yield marketplace for managing cross-chain yield opportunities via a single interface, using LayerZero and Socket for seamless vault transactions."
-    },
-    {
-        name: "Neutrl",
-        logo: "logos/neutrl.svg",
-        url: "https://www.neutrl.fi/",
-        categories: ["stablecoins"],
-        description: "Neutrl is a DeFi protocol offering NUSD, a synthetic dollar that generates scalable, market-neutral yields through OTC arbitrage and delta-neutral hedging strategies."
-    },
-    {
-        name: "Usual",
-        logo: "logos/usual.svg",
-        url: "https://usual.money/",
-        categories: ["stablecoins"],
-        description: "Usual is a DeFi protocol launching USD0, a permissionless stablecoin backed by real-world assets, offering users yield rewards and decentralized governance for enhanced safety."
-    },
-    {
-        name: "Tokemak",
-        logo: "logos/tokemak.svg",
-        url: "https://www.tokemak.xyz/",
-        categories: ["yield"],
-        description: "Tokemak's autoUSD autopool autonomously optimizes liquidity provider positions across DEXs with one deposit, maximizing yield and minimizing gas costs."
-    },
-    {
-        name: "Fireblocks",
-        logo: "logos/fireblocks.svg",
-        url: "https://www.fireblocks.com/",
-        categories: ["infrastructure"],
-        description: "Fireblocks is an enterprise-grade custodian providing infrastructure for storing, moving and issuing digital assets."
-    },
-    {
-        name: "Tenderly",
-        logo: "logos/tenderly.svg",
-        url: "https://tenderly.co/",
-        categories: ["infrastructure"],
-        description: "Tenderly is a full-stack infrastructure provider, including node RPCs, dev environments, monitoring, and simulation tools to streamline dApp development and onchain scaling."
-    },
-    {
-        name: "Dune",
-        logo: "logos/dune.svg",
-        url: "https://dune.com/home",
-        categories: ["analytics"],
-        description: "Dune is a community-driven crypto analytics platform offering customizable dashboards and SQL-based tools to explore DeFi, NFT, and onchain data across multiple blockchains."
-    },
-    {
-        name: "Arkham",
-        logo: "logos/arkham.svg",
-        url: "https://arkm.com/",
-        categories: ["analytics", "infrastructure"],
-        description: "Arkham is a blockchain analytics platform using AI among other tools to deanonymize on-chain data, providing entity-based insights and a decentralized Intel Exchange for trading crypto intelligence."
-    },
-    {
-        name: "Token Terminal",
-        logo: "logos/tokenterminal.svg",
-        url: "https://tokenterminal.com/",
-        categories: ["analytics"],
-        description: "Token Terminal is a leading onchain data platform that converts blockchain activity into standardized financial metrics."
-    },
-    {
-        name: "Turnkey",
-        logo: "logos/turnkey.svg",
-        url: "https://www.turnkey.com/",
-        categories: ["infrastructure"],
-        description: "Turnkey is a platform providing secure, flexible, and scalable wallet infrastructure for cryptocurrency applications."
-    },
-    {
-        name: "Privy",
-        logo: "logos/privy.svg",
-        url: "https://www.privy.io/",
-        categories: ["infrastructure"],
-        description: "Privy provides wallet infrastructure that supports onboarding, payment rails, key management and more."
-    },
-    {
-        name: "Routescan",
-        logo: "logos/routescan.svg",
-        url: "https://routescan.io/",
-        categories: ["infrastructure"],
-        description: "Routescan offers a scalable block explorer service for networks, providing real-time data on transactions, blocks, and validators with customizable API integration."
-    },
-    {
-        name: "Quicknode",
-        logo: "logos/quicknode.svg",
-        url: "https://www.quicknode.com/",
-        categories: ["infrastructure"],
-        description: "QuickNode is a blockchain infrastructure platform offering fast, reliable APIs and tools to build and scale Web3 apps across 50+ chains with dedicated support."
-    },
-    {
-        name: "Protofire",
-        logo: "logos/protofire.svg",
-        url: "https://protofire.io/",
-        categories: ["infrastructure"],
-        description: "Protofire is a blockchain development firm that builds Web3 infrastructure, smart contracts, and tools for DeFi, DAOs, and dApps across major L1 and L2 networks."
-    },
-    {
-        name: "Goldsky",
-        logo: "logos/goldsky.svg",
-        url: "https://goldsky.com/",
-        categories: ["infrastructure"],
-        description: "Goldsky is a data platform that provides real-time blockchain indexing and streaming pipelines, enabling developers to build powerful dApps with instant, decoded onchain data."
-    },
-    {
-        name: "Ghost",
-        logo: "logos/ghost.svg",
-        url: "https://tryghost.xyz/graph",
-        categories: ["infrastructure"],
-        description: "GhostGraph enables developers to write solidity indexers for fast, browser-based GraphQL API, simplifying real-time onchain data querying and smart contract event tracking."
-    },
-    {
-        name: "Utila",
-        logo: "logos/utila.svg",
-        url: "https://utila.io/",
-        categories: ["infrastructure"],
-        description: "Utila is an institutional-grade custodian and infrastructure provider for digital asset operations."
-    },
-    {
-        name: "Zerion",
-        logo: "logos/zerion.svg",
-        url: "https://zerion.io/",
-        categories: ["infrastructure"],
-        description: "Zerion is a non-custodial crypto wallet with a real-time API, enabling developers to build web3 apps with access to multi-chain wallet portfolios, DeFi positions, NFTs, and transactions."
-    },
-    {
-        name: "Stargate",
-        logo: "logos/stargate.svg",
-        url: "https://stargate.finance/",
-        categories: ["bridge"],
-        description: "Stargate Finance, built on LayerZero, is a cross-chain liquidity protocol enabling seamless, instant native crypto asset transfers across blockchains via unified liquidity pools."
-    },
-    {
-        name: "Jumper",
-        logo: "logos/jumper.svg",
-        url: "https://jumper.exchange/",
-        categories: ["bridge"],
-        description: "Jumper Exchange is a decentralized platform aggregating liquidity from DEXs and bridges, enabling seamless token swaps and bridging across 20+ blockchains via one interface."
-    },
-    {
-        name: "Relay",
-        logo: "logos/relay.svg",
-        url: "https://www.relay.link/bridge",
-        categories: ["bridge"],
-        description: "Relay is a fast, low-cost cross-chain execution platform using LayerZero and relayers to power payments, swaps, and gasless transactions across 70+ blockchains."
-    },
-    {
-        name: "Gas.zip",
-        logo: "logos/gaszip.svg",
-        url: "https://www.gas.zip/",
-        categories: ["bridge"],
-        description: "Gas.zip is a cross-chain gas refueling bridge that lets users seamlessly send native gas tokens to 350+ blockchains in one simple transaction, built on LayerZero."
-    },
-    {
-        name: "Aave",
-        logo: "logos/aave.svg",
-        url: "https://aave.com/",
-        categories: ["yield"],
-        description: "Aave is a decentralised non-custodial liquidity protocol where users can participate as suppliers or borrowers. Suppliers provide liquidity to the market while earning interest, and borrowers can access liquidity by providing collateral that exceeds the borrowed amount."
-    },
-    {
-        name: "Pendle",
-        logo: "logos/pendle.svg",
-        url: "https://pendle.finance/",
-        categories: ["yield"],
-        description: "Pendle is a leading DeFi protocol from Vietnam, specializing in yield tokenization by separating future yield into Principal Tokens (PT) and Yield Tokens (YT) for flexible yield management"
-    },
-    {
-        name: "Acctual",
-        logo: "logos/Actual.svg",
-        url: "https://acctual.com/",
-        categories: ["payments"],
-        description: "API-driven invoicing and bill-pay platform enabling crypto and fiat payments."
-    },
-    {
-        name: "ARST",
-        logo: "logos/Arst.svg",
-        url: "https://arst.com/",
-        categories: ["payments"],
-        description: "Argentine peso stablecoin, backed 1:1, offering fast, low-cost digital pesos transactions."
-    },
-    {
-        name: "Blindpay",
-        logo: "logos/Blindpay.svg",
-        url: "https://blindpay.com/",
-        categories: ["payments"],
-        description: "Non-custodial stablecoin API for global payouts and remittances."
-    },
-    {
-        name: "El Dorado",
-        logo: "logos/elDorado.svg",
-        url: "https://eldorado.com/",
-        categories: ["payments"],
-        description: "P2P stablecoin super-app for LatAm offering P2P on/offramping."
-    },
-    {
-        name: "Hifi",
-        logo: "logos/Hifi.svg",
-        url: "https://hifi.com/",
-        categories: ["payments"],
-        description: "Global on/off‑ramp API for stablecoin conversion, wallet provisioning, and compliant transfers."
-    },
-    {
-        name: "Indodax",
-        logo: "logos/Indodax.svg",
-        url: "https://indodax.com/",
-        categories: ["payments"],
-        description: "Indonesia's largest regulated crypto exchange."
-    },
-    {
-        name: "Noah",
-        logo: "logos/Noah.svg",
-        url: "https://noah.com/",
-        categories: ["payments"],
-        description: "API-first global payments, enterprise-grade compliance and real-time settlements."
-    },
-    {
-        name: "OpenFX",
-        logo: "logos/OpenFX.svg",
-        url: "https://openfx.com/",
-        categories: ["payments"],
-        description: "Modern FX infrastructure for real-time cross-border payments."
-    },
-    {
-        name: "Shiga",
-        logo: "logos/Shiga.svg",
-        url: "https://shiga.com/",
-        categories: ["payments"],
-        description: "Regulated stablecoin wallet with fiat ramps and multichain swaps for African businesses."
-    },
-    {
-        name: "Sphere",
-        logo: "logos/Sphere.svg",
-        url: "https://sphere.com/",
-        categories: ["payments"],
-        description: "API for stablecoin payments, fiat ramps, and cross-border transfers."
-    },
-    {
-        name: "Stables",
-        logo: "logos/StablesMoney.svg",
-        url: "https://stables.com/",
-        categories: ["payments"],
-        description: "Wallet and card platform for spending, sending, and ramping stablecoins globally."
-    },
-    {
-        name: "WalaPay",
-        logo: "logos/Walapay.svg",
-        url: "https://walapay.com/",
-        categories: ["payments"],
-        description: "Payout and virtual account API for global fiat and stablecoin disbursements with built-in compliance."
-    },
-    {
-        name: "XFX",
-        logo: "logos/XFX.svg",
-        url: "https://xfx.com/",
-        categories: ["payments"],
-        description: "Stablecoin and fiat settlement API for cross-border payments and FX execution."
-    },
-    {
-        name: "Yasmin",
-        logo: "logos/Yasmin.svg",
-        url: "https://yasmin.com/",
-        categories: ["payments"],
-        description: "A native on-chain bank and financial venue for Greater Syria Arabic Region."
-    }
-];
-
-// Function to render projects dynamically
-function renderProjects(projects = ecosystemData) {
-    const projectsGrid = document.getElementById('projectsGrid');
-    if (!projectsGrid) return;
-
-    projectsGrid.innerHTML = projects.map(project => `
-        <div class="project-card" data-categories="${project.categories.join(' ')}">
-            <div class="project-header">
-                <img src="${project.logo}" alt="${project.name} logo" class="project-logo">
-                <a href="${project.url}" target="_blank" class="external-link">
-                    <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
-                        <path d="M12 8.66667V12.6667C12 13.0203 11.8595 13.3594 11.6095 13.6095C11.3594 13.8595 11.0203 14 10.6667 14H3.33333C2.97971 14 2.64057 13.8595 2.39052 13.6095C2.14048 13.3594 2 13.0203 2 12.6667V5.33333C2 4.97971 2.14048 4.64057 2.39052 4.39052C2.64057 4.14048 2.97971 4 3.33333 4H7.33333" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
-                        <path d="M10 2H14V6" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
-                        <path d="M6.66667 9.33333L14 2" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
-                    </svg>
-                </a>
-            </div>
-            <h3 class="project-title">${project.name}</h3>
-            <div class="project-tags">
-                ${project.categories.map(cat => `<span class="tag">${cat.toUpperCase()}</span>`).join('')}
-            </div>
-            <p class="project-description">${project.description}</p>
-        </div>
-    `).join('');
-}
-
-// Initialize projects when DOM is loaded
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => renderProjects());
-} else {
-    renderProjects();
-}
-
-// Export for use in other scripts
-window.ecosystemData = ecosystemData;
-window.renderProjects = renderProjects;
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+// Offline check of the Plasma partner registry (data/partners.json):
+//   node scripts/validate-partners.js
+// Errors (exit code 1): schema violations (categories must be in the schema's
+// list; the Plasma tab builds its filter chips from them), duplicate
+// names/URLs/DefiLlama slugs and logo paths that don't exist (case-sensitive,
+// so it also fails on macOS-only typos).
+// Warnings: logo files nothing refers to, logos shared by several partners and
+// undated entries listed after a dated one (new partners are appended, so those
+// are additions that missed their `added` date).
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const REGISTRY = path.join(ROOT, 'data/partners.json');
+const SCHEMA = path.join(ROOT, 'data/partners.schema.json');
+const LOGO_DIR = path.join(ROOT, 'logos');
+// Files that may reference logos outside the registry
+const ASSET_SOURCES = ['index.html', 'styles.css', 'app.js', 'manifest.webmanifest'];
+
+const errors = [];
+const warnings = [];
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.error(`error: cannot read ${path.relative(ROOT, file)}: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// -----------------------------
+// Schema (the draft-07 subset partners.schema.json uses)
+// -----------------------------
+function resolveRef(schema, root) {
+  if (!schema.$ref) return schema;
+  const parts = schema.$ref.replace(/^#\//, '').split('/');
+  return parts.reduce((node, key) => node[key], root);
+}
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (v === null) return 'null';
+  return typeof v;
+}
+
+function validate(value, schema, root, at) {
+  schema = resolveRef(schema, root);
+  const fail = (msg) => errors.push(`${at || 'partners.json'}: ${msg}`);
+  if (schema.type && typeOf(value) !== schema.type) {
+    fail(`expected ${schema.type}, got ${typeOf(value)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.trim().length < schema.minLength) fail('must not be empty');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+    if (schema.format === 'uri') {
+      try {
+        new URL(value);
+      } catch {
+        fail(`${JSON.stringify(value)} is not a valid URL`);
+      }
+    }
+    if (schema.format === 'date') {
+      const d = new Date(`${value}T00:00:00Z`);
+      if (isNaN(d) || d.toISOString().slice(0, 10) !== value) fail(`${JSON.stringify(value)} is not a valid date`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`needs at least ${schema.minItems} item(s)`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) fail('has duplicate items');
+    if (schema.items) value.forEach((item, i) => validate(item, schema.items, root, `${at}[${i}]`));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required field "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) validate(v, props[key], root, at ? `${at}.${key}` : key);
+      else if (schema.additionalProperties === false) fail(`unknown field "${key}"`);
+    }
+  }
+}
+
+// -----------------------------
+// Registry checks the schema can't express
+// -----------------------------
+function label(p, i) {
+  return `partners[${i}]${p && p.name ? ` (${p.name})` : ''}`;
+}
+
+function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.hostname.replace(/^www\./, '')}${u.pathname.replace(/\/+$/, '')}`.toLowerCase();
+  } catch {
+    return String(url);
+  }
+}
+
+function checkDuplicates(partners) {
+  const seen = { name: new Map(), url: new Map(), defillama: new Map(), logo: new Map() };
+  partners.forEach((p, i) => {
+    const keys = {
+      name: String(p.name || '').trim().toLowerCase(),
+      url: p.url ? normalizeUrl(p.url) : '',
+      defillama: p.defillama || '',
+      logo: p.logo || ''
+    };
+    for (const [field, key] of Object.entries(keys)) {
+      if (!key) continue;
+      if (seen[field].has(key)) {
+        const first = seen[field].get(key);
+        const msg = `${label(p, i)}: same ${field} as ${label(partners[first], first)}`;
+        (field === 'logo' ? warnings : errors).push(msg);
+      } else {
+        seen[field].set(key, i);
+      }
+    }
+  });
+}
+
+function checkLogos(partners) {
+  const files = fs.existsSync(LOGO_DIR) ? fs.readdirSync(LOGO_DIR).filter(f => !f.startsWith('.')) : [];
+  const onDisk = new Set(files);
+  const lower = new Map(files.map(f => [f.toLowerCase(), f]));
+  const used = new Set();
+  partners.forEach((p, i) => {
+    if (typeof p.logo !== 'string') return;
+    const file = p.logo.replace(/^logos\//, '');
+    used.add(file);
+    if (onDisk.has(file)) return;
+    const near = lower.get(file.toLowerCase());
+    errors.push(`${label(p, i)}: logo ${p.logo} does not exist${near ? ` (found logos/${near}; paths are case-sensitive)` : ''}`);
+  });
+  const otherRefs = ASSET_SOURCES
+    .map(f => path.join(ROOT, f))
+    .filter(f => fs.existsSync(f))
+    .map(f => fs.readFileSync(f, 'utf8'))
+    .join('\n');
+  for (const file of files) {
+    if (!used.has(file) && !otherRefs.includes(`logos/${file}`)) warnings.push(`logos/${file}: not used by any partner`);
+  }
+}
+
+// Entries older than the first dated one have no known date and stay undated
+function checkAdded(partners) {
+  const first = partners.findIndex(p => p && 'added' in p);
+  if (first < 0) return;
+  partners.forEach((p, i) => {
+    if (i > first && p && !('added' in p)) warnings.push(`${label(p, i)}: no "added" date`);
+  });
+}
+
+const schema = readJSON(SCHEMA);
+const registry = readJSON(REGISTRY);
+validate(registry, schema, schema, '');
+const partners = Array.isArray(registry.partners) ? registry.partners : [];
+checkDuplicates(partners);
+checkLogos(partners);
+checkAdded(partners);
+
+for (const w of warnings) console.warn(`warning: ${w}`);
+for (const e of errors) console.error(`error: ${e}`);
+console.log(`${partners.length} partners, ${errors.length} error(s), ${warnings.length} warning(s)`);
+process.exit(errors.length ? 1 : 0);
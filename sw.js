@@ -0,0 +1,159 @@
+// Service worker: precaches the app shell, Chart.js and partner logos, and keeps
+// a last-known copy of API responses (within a byte budget) for offline use.
+// Bump CACHE_VERSION together with the ?v= strings in index.html; open pages
+// then show a "new version" prompt instead of mixing old and new files.
+const CACHE_VERSION = 87;
+const SHELL_CACHE = `shell-v${CACHE_VERSION}`;
+// Bump API_CACHE_VERSION to drop every stored API response on the next activate
+const API_CACHE_VERSION = 2;
+const API_CACHE = `api-v${API_CACHE_VERSION}`;
+const API_CACHE_MAX_BYTES = 50 * 1024 * 1024; // same budget as the page's IndexedDB cache
+
+const SHELL_ASSETS = [
+  './',
+  'index.html',
+  'app.js',
+  'styles.css',
+  'data/partners.json',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+const CDN_ASSETS = [
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js'
+];
+// Data files (the partner registry) change without a CACHE_VERSION bump
+const DATA_PREFIX = new URL('data/', self.location).href;
+const API_HOSTS = ['stablecoins.llama.fi', 'coins.llama.fi', 'yields.llama.fi', 'api.llama.fi', 'open.er-api.com'];
+
+// Header added to stored API responses so the page can tell an offline copy
+// from a live one (and how old it is).
+const FETCHED_AT_HEADER = 'X-SW-Fetched-At';
+// Body size of a stored response, so trimming never reads bodies back
+const SIZE_HEADER = 'X-SW-Size';
+
+// Logo paths come straight from the partner registry so new partners are
+// picked up without editing this file.
+async function partnerLogos() {
+  const res = await fetch('data/partners.json', { cache: 'no-store' });
+  const { partners = [] } = await res.json();
+  return [...new Set(partners.map(p => p.logo).filter(Boolean))];
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll([...SHELL_ASSETS, ...CDN_ASSETS]);
+    // Best effort: a single missing logo should not block the install
+    const logos = await partnerLogos().catch(() => []);
+    await Promise.allSettled(logos.map(url => cache.add(url)));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(k => (k.startsWith('shell-') && k !== SHELL_CACHE) || (k.startsWith('api-') && k !== API_CACHE))
+      .map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (API_HOSTS.includes(url.hostname)) {
+    event.respondWith(networkFirst(event));
+  } else if (req.url.startsWith(DATA_PREFIX)) {
+    event.respondWith(networkFirstData(event));
+  } else if (url.origin === self.location.origin || CDN_ASSETS.includes(req.url)) {
+    event.respondWith(cacheFirst(req, url.origin === self.location.origin));
+  }
+});
+
+// Shell, CDN bundles, logos and fixtures. Same-origin matches ignore the
+// query so app.js?v=N and index.html?provider=... hit the precached copy.
+async function cacheFirst(req, sameOrigin) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(req, { ignoreSearch: sameOrigin });
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok) cache.put(req, res.clone());
+  return res;
+}
+
+// Data files: fetch fresh so registry edits reach installed clients; the
+// precached copy is the offline fallback and is refreshed on every success
+async function networkFirstData(event) {
+  const req = event.request;
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req, { cache: 'no-cache' });
+    if (res.ok) event.waitUntil(cache.put(req, res.clone()));
+    return res;
+  } catch (err) {
+    const hit = await cache.match(req, { ignoreSearch: true });
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+// API calls: always try the network; when it fails, answer with the last
+// stored response so the page can render it as stale data.
+async function networkFirst(event) {
+  const req = event.request;
+  const cache = await caches.open(API_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) event.waitUntil(storeApiResponse(cache, req, res.clone()));
+    return res;
+  } catch (err) {
+    const hit = await cache.match(req);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function storeApiResponse(cache, req, res) {
+  const body = await res.blob();
+  if (body.size > API_CACHE_MAX_BYTES) return; // would evict everything else
+  const headers = new Headers(res.headers);
+  headers.set(FETCHED_AT_HEADER, String(Date.now()));
+  headers.set(SIZE_HEADER, String(body.size));
+  await cache.put(req, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+  apiTrim = apiTrim.then(() => trimApiCache(cache)).catch(() => {});
+  await apiTrim;
+}
+
+// Trims run one at a time so parallel stores don't evict twice
+let apiTrim = Promise.resolve();
+
+// Drop the oldest stored responses until the cache fits API_CACHE_MAX_BYTES
+async function trimApiCache(cache) {
+  const entries = [];
+  for (const req of await cache.keys()) {
+    const res = await cache.match(req);
+    if (!res) continue;
+    entries.push({
+      req,
+      size: Number(res.headers.get(SIZE_HEADER)) || 0,
+      at: Number(res.headers.get(FETCHED_AT_HEADER)) || 0
+    });
+  }
+  let total = entries.reduce((sum, e) => sum + e.size, 0);
+  entries.sort((a, b) => a.at - b.at);
+  for (const e of entries) {
+    if (total <= API_CACHE_MAX_BYTES) break;
+    await cache.delete(e.req);
+    total -= e.size;
+  }
+}